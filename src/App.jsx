@@ -25,6 +25,7 @@ const App = () => {
         <Route element={<ProtectedRoute />}>
           <Route path="action" element={<ActionHub />} />
           <Route path="chat" element={<Chat />} />
+          <Route path="chat/:roomId" element={<Chat />} />
           <Route path="gamification" element={<Gamification />} />
           <Route path="settings" element={<Settings />} />
         </Route>
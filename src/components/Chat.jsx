@@ -1,133 +1,696 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { 
   Box, 
-  TextField, 
   Button, 
   Typography, 
-  List, 
-  ListItem, 
-  ListItemAvatar, 
-  Avatar, 
-  ListItemText,
   CircularProgress,
+  Drawer,
   useTheme,
   useMediaQuery,
-  IconButton
+  IconButton,
+  Divider,
+  Tooltip,
+  Badge
 } from '@mui/material';
 import SendIcon from '@mui/icons-material/Send';
-import Pusher from 'pusher-js';
-import { auth } from '../firebase';
+import { Forum, Shield, Search, KeyboardDoubleArrowDown, PushPin, Poll, Download } from '@mui/icons-material';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useDispatch, useSelector, useStore } from 'react-redux';
+import { doc, getDoc } from 'firebase/firestore';
+import { auth, db } from '../firebase';
 import { motion, useAnimation } from 'framer-motion';
+import ChatRoomList from './ChatRoomList';
+import ChatMessage from './ChatMessage';
+import ChatMessageList from './ChatMessageList';
+import ChatThread from './ChatThread';
+import ChatPresence from './ChatPresence';
+import ChatReportDialog from './ChatReportDialog';
+import ChatModeration from './ChatModeration';
+import ChatUploadTray, { ChatAttachButton } from './ChatUploadTray';
+import ChatComposerField from './ChatComposerField';
+import ChatSearch from './ChatSearch';
+import ChatPinnedMessages from './ChatPinnedMessages';
+import ChatAnnouncement from './ChatAnnouncement';
+import ChatPollDialog from './ChatPollDialog';
+import ChatExportDialog from './ChatExportDialog';
+import useRoomPresence from '../hooks/useRoomPresence';
+import useStartConversation from '../hooks/useStartConversation';
+import {
+  DEFAULT_ROOM_ID,
+  roomChannelName,
+  updateRoom,
+  clearUnread,
+  setActiveRoom,
+  markRead,
+  getRoomTitle,
+  isMutedIn,
+  isBannedFrom
+} from '../redux/chatSlice';
+import {
+  fetchMessages,
+  fetchThreadReplies,
+  updateChatMessage,
+  deleteChatMessage,
+  toggleMessageReaction,
+  reportMessage,
+  setMessageHidden,
+  moderateMember,
+  fetchPinnedMessages,
+  pinMessage,
+  unpinMessage,
+  votePoll,
+  closePoll,
+  markRoomRead
+} from '../utils/api';
+import { messageKey, createClientId, upsertMessage, findFirstUnread } from '../utils/chat';
+import { getBlockedWords, filterText } from '../utils/wordFilter';
+import { extractMentions } from '../utils/formatting';
+import { getSlashCommands, parseSlashCommand, runSlashCommand } from '../utils/slashCommands';
+import { applyVote, mergePoll } from '../utils/polls';
+import useOutbox from '../hooks/useOutbox';
+import useAttachmentUploads from '../hooks/useAttachmentUploads';
+import { getRealtimeClient } from '../realtime';
+
+const PAGE_SIZE = 30;
+const MUTE_MINUTES = 60;
+// Wait for the timeline to settle before recording what the user has read
+const MARK_READ_DELAY = 1000;
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const currentMember = () => ({
+  uid: auth.currentUser?.uid,
+  user: auth.currentUser?.displayName || auth.currentUser?.email,
+});
+
+// Outbox entries rendered as optimistic messages
+const toQueuedMessage = (entry) => ({
+  ...entry.payload,
+  status: entry.status,
+  timestamp: formatTime(new Date(entry.createdAt)),
+});
+
+// Add or remove the user's reaction, dropping emojis nobody uses any more
+const toggleReaction = (reactions = {}, emoji, uid, userName) => {
+  const users = reactions[emoji] || [];
+  const nextUsers = users.some((u) => u.uid === uid)
+    ? users.filter((u) => u.uid !== uid)
+    : [...users, { uid, user: userName }];
+  const next = { ...reactions, [emoji]: nextUsers };
+  if (nextUsers.length === 0) delete next[emoji];
+  return next;
+};
 
 const Chat = () => {
+  const { roomId = DEFAULT_ROOM_ID } = useParams();
+  // ?message=<id> jumps to a message (e.g. from search); &thread=1 also opens
+  // its thread when the result was a reply
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const focusId = searchParams.get('message');
+  const focusThread = searchParams.get('thread') === '1';
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const messagesEndRef = useRef(null);
+  const [roomsOpen, setRoomsOpen] = useState(false);
+  const [threadParent, setThreadParent] = useState(null);
+  const [threadReplies, setThreadReplies] = useState([]);
+  const [threadLoading, setThreadLoading] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [isSiteModerator, setIsSiteModerator] = useState(false);
+  const [reportTarget, setReportTarget] = useState(null);
+  const [moderationOpen, setModerationOpen] = useState(false);
+  const [moderationTab, setModerationTab] = useState('restrictions');
+  const [pins, setPins] = useState([]);
+  const [pinsOpen, setPinsOpen] = useState(false);
+  const [pollOpen, setPollOpen] = useState(false);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  // Key of the first message that arrived since the user was last here
+  const [unreadFromKey, setUnreadFromKey] = useState(null);
+  // True while showing a page of older history around a jumped-to message
+  const [viewingHistory, setViewingHistory] = useState(false);
+  const viewingHistoryRef = useRef(false);
+  const freshKeysRef = useRef(new Set());
+  const activeRoomRef = useRef(roomId);
+  const threadParentIdRef = useRef(null);
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
   const controls = useAnimation();
+  const dispatch = useDispatch();
+  const store = useStore();
+  const rooms = useSelector((state) => state.chat.rooms);
+  const activeRoom = rooms.find((room) => room.id === roomId);
+  const roomTitle = activeRoom ? getRoomTitle(activeRoom, auth.currentUser?.uid) : 'Community Hub';
+  const lastReadId = useSelector((state) => state.chat.lastRead[roomId]?.messageId);
+  const startConversation = useStartConversation();
+  const uid = auth.currentUser?.uid;
+  const isModerator = isSiteModerator || Boolean(activeRoom?.moderators?.includes(uid));
+  const isMuted = isMutedIn(activeRoom, uid);
+  const isBanned = isBannedFrom(activeRoom, uid);
+  const mutedUntil = isMuted ? new Date(activeRoom.muted[uid].until) : null;
+  const blockedWords = getBlockedWords(activeRoom?.blockedWords);
+  const focusMessage = focusId ? messages.find((msg) => msg._id === focusId) : null;
+  const pinnedIds = new Set(pins.map((msg) => msg._id));
+
+  // Outbox callbacks: merge the server copy, or reflect pending/failed state
+  const markDelivered = useCallback((clientId, saved) => {
+    const merge = (msg) => (msg.clientId === clientId ? { ...msg, ...saved, clientId, status: 'sent' } : msg);
+    setMessages(prev => prev.map(merge));
+    setThreadReplies(prev => prev.map(merge));
+  }, []);
 
-  // Fetch messages and set up Pusher
+  const setDeliveryStatus = useCallback((clientId, status) => {
+    const merge = (msg) => (msg.clientId === clientId ? { ...msg, status } : msg);
+    setMessages(prev => prev.map(merge));
+    setThreadReplies(prev => prev.map(merge));
+  }, []);
+
+  const { enqueue, retry, getQueued } = useOutbox({
+    uid,
+    onDelivered: markDelivered,
+    onStatusChange: setDeliveryStatus,
+  });
+
+  const { uploads, attachments, uploading, addFiles, removeUpload, clearUploads } = useAttachmentUploads({
+    onError: setError,
+  });
+
+  // Merge an updated message into the timeline, the open thread and its parent
+  const applyMessageUpdate = useCallback((update) => {
+    const merge = (msg) => (msg._id === update._id
+      ? { ...msg, ...update, ...(update.poll && { poll: mergePoll(msg.poll, update.poll) }) }
+      : msg);
+    setMessages(prev => prev.map(merge));
+    setThreadReplies(prev => prev.map(merge));
+    setThreadParent(prev => (prev ? merge(prev) : prev));
+  }, []);
+
+  // Site-wide moderators are flagged on their Firestore profile
   useEffect(() => {
-    const fetchMessages = async () => {
+    if (!uid) return;
+    let cancelled = false;
+    getDoc(doc(db, 'users', uid))
+      .then((snapshot) => {
+        if (!cancelled) setIsSiteModerator(snapshot.data()?.role === 'moderator');
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [uid]);
+
+  const { members, typingUsers, notifyTyping, notifyStoppedTyping } = useRoomPresence(roomId);
+
+  // People who can be @mentioned here: online members, conversation members
+  // and anyone who has posted in the loaded history
+  const mentionCandidates = [
+    ...members.map((member) => ({ uid: member.id, user: member.user, photoURL: member.photoURL })),
+    ...(activeRoom?.members || []),
+    ...messages.map((msg) => ({ uid: msg.uid, user: msg.user, photoURL: msg.photoURL })),
+  ].filter((person, index, all) => (
+    person.uid
+    && person.user
+    && person.uid !== uid
+    && all.findIndex((other) => other.uid === person.uid) === index
+  ));
+  const mentionsIn = (text) => extractMentions(text, mentionCandidates).map(({ uid, user }) => ({ uid, user }));
+
+  // Live updates for the open room (useChatUnread counts messages elsewhere)
+  const channelName = activeRoom ? roomChannelName(activeRoom) : null;
+  useEffect(() => {
+    if (!channelName) return;
+    const isActive = (messageRoomId) => (messageRoomId || DEFAULT_ROOM_ID) === activeRoomRef.current;
+
+    const subscription = getRealtimeClient().subscribe(channelName, {
+      'message-updated': (message) => {
+        if (isActive(message.roomId)) applyMessageUpdate(message);
+      },
+      reaction: ({ _id, roomId: messageRoomId, reactions }) => {
+        if (isActive(messageRoomId)) applyMessageUpdate({ _id, reactions });
+      },
+      poll: ({ _id, roomId: messageRoomId, poll }) => {
+        if (isActive(messageRoomId)) applyMessageUpdate({ _id, poll });
+      },
+      'message-deleted': ({ _id, roomId: messageRoomId }) => {
+        if (isActive(messageRoomId)) applyMessageUpdate({ _id, text: '', deleted: true });
+      },
+      'message-hidden': ({ _id, roomId: messageRoomId, hidden }) => {
+        if (isActive(messageRoomId)) applyMessageUpdate({ _id, hidden });
+      },
+      'room-updated': (updated) => dispatch(updateRoom(updated)),
+      'pins-updated': ({ roomId: messageRoomId, pins: roomPins }) => {
+        if (isActive(messageRoomId)) setPins(roomPins);
+      },
+      message: (message) => {
+        if (!isActive(message.roomId)) return;
+
+        // Thread replies only bump the parent's count in the main timeline
+        if (message.parentId) {
+          setMessages(prev => prev.map(msg => 
+            msg._id === message.parentId
+              ? { ...msg, replyCount: (msg.replyCount || 0) + 1 }
+              : msg
+          ));
+          if (message.parentId === threadParentIdRef.current) {
+            setThreadReplies(prev => upsertMessage(prev, message));
+          }
+          return;
+        }
+
+        // New messages are picked up on "Jump to latest" while reading old history
+        if (viewingHistoryRef.current) return;
+
+        freshKeysRef.current.add(messageKey(message));
+        setMessages(prev => upsertMessage(prev, message));
+      },
+    });
+
+    return () => subscription.unsubscribe();
+  }, [channelName, dispatch, applyMessageUpdate]);
+
+  // Pinned messages for the active room
+  useEffect(() => {
+    let cancelled = false;
+    setPins([]);
+    fetchPinnedMessages(roomId)
+      .then((data) => {
+        if (!cancelled) setPins(data);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId]);
+
+  // Open the thread side panel for a top-level message
+  const openThread = useCallback(async (parent) => {
+    threadParentIdRef.current = parent._id;
+    setThreadParent(parent);
+    setThreadReplies([]);
+    setThreadLoading(true);
+    try {
+      const data = await fetchThreadReplies(parent._id);
+      if (threadParentIdRef.current === parent._id) setThreadReplies(data);
+    } catch (err) {
+      console.error('Thread load error:', err);
+      setError('Failed to load thread');
+    } finally {
+      setThreadLoading(false);
+    }
+  }, []);
+
+  // Fetch history whenever the active room (or the jumped-to message) changes
+  useEffect(() => {
+    let cancelled = false;
+    activeRoomRef.current = roomId;
+    // Where the user left off, read before this visit clears the count
+    const { lastRead, unread } = store.getState().chat;
+    const readMarker = { ...lastRead[roomId], unread: unread[roomId] };
+    dispatch(setActiveRoom(roomId));
+    dispatch(clearUnread(roomId));
+    setUnreadFromKey(null);
+    setMessages([]);
+    setHasMore(false);
+    freshKeysRef.current.clear();
+    threadParentIdRef.current = null;
+    setThreadParent(null);
+    setThreadReplies([]);
+    setLoading(true);
+    setError('');
+
+    viewingHistoryRef.current = Boolean(focusId);
+    setViewingHistory(Boolean(focusId));
+
+    const loadMessages = async () => {
       try {
-        const response = await fetch('https://socio-99.onrender.com/api/messages');
-        const data = await response.json();
-        setMessages(data);
+        const data = await fetchMessages(roomId, focusId
+          ? { around: focusId, limit: PAGE_SIZE }
+          : { limit: PAGE_SIZE });
+        // Unsent messages belong at the end of the timeline, not in old history
+        const queued = focusId ? [] : await getQueued(roomId);
+        if (cancelled) return;
+        const timeline = queued
+          .filter((entry) => !entry.payload.parentId)
+          .map(toQueuedMessage)
+          .reduce(upsertMessage, data.filter((msg) => !msg.parentId));
+        setMessages(timeline);
+        if (!focusId) {
+          const firstUnread = findFirstUnread(timeline, readMarker, auth.currentUser?.uid);
+          setUnreadFromKey(firstUnread && messageKey(firstUnread));
+        }
+        setHasMore(focusId ? data.length > 0 : data.length === PAGE_SIZE);
         controls.start({ opacity: 1, y: 0 });
+
+        const focused = focusThread && data.find((msg) => msg._id === focusId);
+        if (focused) openThread(focused);
       } catch (err) {
-        setError('Failed to load chat history');
+        if (!cancelled) setError('Failed to load chat history');
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
 
-    const pusher = new Pusher('b499431d9b73ef39d7a6', {
-      cluster: 'ap2',
-      forceTLS: true,
-    });
-
-    const channel = pusher.subscribe('chat');
-    channel.bind('message', (message) => {
-      setMessages(prev => {
-        // Prevent duplicate messages from Pusher
-        const isDuplicate = prev.some(msg => 
-          msg.user === message.user &&
-          msg.text === message.text &&
-          msg.timestamp === message.timestamp
-        );
-        return isDuplicate ? prev : [...prev, message];
-      });
-    });
-
-    fetchMessages();
+    loadMessages();
 
     return () => {
-      pusher.unsubscribe('chat');
+      cancelled = true;
     };
-  }, [controls]);
+  }, [roomId, focusId, focusThread, controls, dispatch, store, getQueued, openThread]);
 
-  // Auto-scroll to bottom
+  // Nothing is open once the user leaves the chat
+  useEffect(() => () => dispatch(setActiveRoom(null)), [dispatch]);
+
+  // Record the newest message on screen as read, unless the user is looking
+  // at older history
   useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+    const latest = [...messages].reverse().find((msg) => msg._id && !msg.ephemeral);
+    if (!uid || viewingHistory || !latest || latest._id === lastReadId) return;
 
-  // Send message with optimistic UI update
-  const sendMessage = async (e) => {
-    if (e) e.preventDefault();
-    if (!newMessage.trim() || !auth.currentUser) return;
+    const timer = setTimeout(() => {
+      dispatch(markRead({ roomId, messageId: latest._id, readAt: new Date().toISOString() }));
+      markRoomRead(roomId, { messageId: latest._id }).catch(() => {});
+    }, MARK_READ_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [messages, roomId, uid, viewingHistory, lastReadId, dispatch]);
+
+  // Load the page of history before the oldest message on screen
+  const loadOlderMessages = async () => {
+    const oldest = messages.find((msg) => msg._id);
+    if (!oldest || loadingOlder) return;
+
+    const requestedRoomId = roomId;
+    setLoadingOlder(true);
+    try {
+      const data = await fetchMessages(roomId, { before: oldest._id, limit: PAGE_SIZE });
+      if (activeRoomRef.current !== requestedRoomId) return;
+      setMessages(prev => [...data.filter((msg) => !msg.parentId), ...prev]);
+      setHasMore(data.length === PAGE_SIZE);
+    } catch (err) {
+      console.error('History load error:', err);
+      setError('Failed to load older messages');
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const closeThread = () => {
+    threadParentIdRef.current = null;
+    setThreadParent(null);
+    setThreadReplies([]);
+  };
+
+  // Post a message (or a thread reply when parentId is set) through the outbox,
+  // showing it immediately with a pending state. Attachments are already
+  // uploaded, so only their URLs are queued. Polls use their question as text.
+  const postMessage = (text, { attachments = [], parentId = null, poll = null } = {}) => {
+    if ((!text.trim() && attachments.length === 0) || !auth.currentUser || isMuted || isBanned) return;
   
-    const tempId = Date.now().toString();
     const user = auth.currentUser;
+    const mentions = mentionsIn(text);
     const message = {
-      text: newMessage,
+      clientId: createClientId(),
+      text: filterText(text, blockedWords),
+      uid: user.uid,
       user: user.displayName || user.email,
       photoURL: user.photoURL || '',
-      tempId
+      roomId,
+      ...(attachments.length > 0 && { attachments }),
+      // Poll text goes through the word filter like the message itself
+      ...(poll && {
+        poll: {
+          ...poll,
+          question: filterText(poll.question, blockedWords),
+          options: poll.options.map((option) => ({ ...option, text: filterText(option.text, blockedWords) })),
+        },
+      }),
+      // The server notifies mentioned members on their private user channel
+      ...(mentions.length > 0 && { mentions }),
+      ...(parentId && { parentId }),
     };
+    const setList = parentId ? setThreadReplies : setMessages;
   
+    // Optimistic update
+    if (!parentId) freshKeysRef.current.add(message.clientId);
+    setList(prev => [...prev, {
+      ...message,
+      status: 'pending',
+      timestamp: formatTime(new Date())
+    }]);
+
+    enqueue(message);
+  };
+
+  const retryMessage = (msg) => retry(msg.clientId);
+
+  // Edit one of the current user's messages
+  const editMessage = async (msg, text) => {
     try {
-      // Optimistic update
-      setMessages(prev => [...prev, {
-        ...message,
-        timestamp: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-      }]);
-      setNewMessage('');
-  
-      // Send to backend
-      const response = await fetch('https://socio-99.onrender.com/api/send-message', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          text: newMessage,
-          user: user.displayName || user.email,
-          photoURL: user.photoURL || ''
-        }),
-        credentials: 'include' // Important for cookies/sessions if using them
+      const updated = await updateChatMessage(msg._id, {
+        text: filterText(text, blockedWords),
+        mentions: mentionsIn(text),
       });
-  
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      applyMessageUpdate(updated);
+    } catch (err) {
+      console.error('Message edit error:', err);
+      setError('Failed to edit message');
+    }
+  };
+
+  // Delete one of the current user's messages, leaving a tombstone in place
+  const removeMessage = async (msg) => {
+    if (!window.confirm('Delete this message?')) return;
+    try {
+      await deleteChatMessage(msg._id);
+      applyMessageUpdate({ _id: msg._id, text: '', deleted: true });
+    } catch (err) {
+      console.error('Message delete error:', err);
+      setError('Failed to delete message');
+    }
+  };
+
+  // Toggle an emoji reaction optimistically, rolling back if the server rejects it
+  const reactToMessage = async (msg, emoji) => {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    const previous = msg.reactions || {};
+    const userName = user.displayName || user.email;
+    applyMessageUpdate({ _id: msg._id, reactions: toggleReaction(previous, emoji, user.uid, userName) });
+
+    try {
+      const { reactions } = await toggleMessageReaction(msg._id, { emoji, user: userName });
+      applyMessageUpdate({ _id: msg._id, reactions });
+    } catch (err) {
+      console.error('Reaction error:', err);
+      applyMessageUpdate({ _id: msg._id, reactions: previous });
+      setError('Failed to update reaction');
+    }
+  };
+
+  // Vote optimistically; the server's copy of the poll (also broadcast to the
+  // room) replaces ours, or we roll back if it rejects the vote
+  const voteInPoll = async (msg, optionIds) => {
+    const voter = currentMember();
+    // Spell out an anonymous poll's picks so a rollback restores them too
+    const previous = msg.poll.anonymous ? { ...msg.poll, myVotes: msg.poll.myVotes || [] } : msg.poll;
+    applyMessageUpdate({ _id: msg._id, poll: applyVote(previous, optionIds, voter) });
+
+    try {
+      const poll = await votePoll(msg._id, { optionIds, ...(!previous.anonymous && { user: voter.user }) });
+      applyMessageUpdate({ _id: msg._id, poll });
+    } catch (err) {
+      console.error('Vote error:', err);
+      applyMessageUpdate({ _id: msg._id, poll: previous });
+      setError('Failed to record your vote');
+    }
+  };
+
+  const closePollMessage = async (msg) => {
+    try {
+      const poll = await closePoll(msg._id);
+      applyMessageUpdate({ _id: msg._id, poll });
+    } catch (err) {
+      console.error('Close poll error:', err);
+      setError('Failed to close poll');
+    }
+  };
+
+  // Start a direct message with the author of a message
+  const messageAuthor = async (msg) => {
+    try {
+      await startConversation([{ uid: msg.uid, user: msg.user, photoURL: msg.photoURL }]);
+    } catch (err) {
+      console.error('Start conversation error:', err);
+      setError('Failed to start conversation');
+    }
+  };
+
+  const submitReport = async (msg, { reason, details }) => {
+    try {
+      await reportMessage(msg._id, { reason, details, roomId });
+      setReportTarget(null);
+    } catch (err) {
+      console.error('Report error:', err);
+      setError('Failed to report message');
+    }
+  };
+
+  const applyRestriction = async (action, member, minutes = MUTE_MINUTES) => {
+    const updated = await moderateMember(roomId, {
+      action,
+      target: { uid: member.uid, user: member.user },
+      ...(action === 'mute' && { minutes }),
+    });
+    dispatch(updateRoom(updated));
+  };
+
+  const applyPin = async (msg, pinned) => {
+    setPins(pinned
+      ? await pinMessage(roomId, { messageId: msg._id })
+      : await unpinMessage(roomId, msg._id));
+  };
+
+  const restrictMember = async (action, msg) => {
+    try {
+      await applyRestriction(action, msg);
+    } catch (err) {
+      console.error('Moderation error:', err);
+      setError(`Failed to ${action} ${msg.user}`);
+    }
+  };
+
+  // Moderator actions; the room or message comes back updated and is also
+  // broadcast to the other members
+  const moderation = {
+    onHide: async (msg, hidden) => {
+      try {
+        await setMessageHidden(msg._id, { hidden, roomId });
+        applyMessageUpdate({ _id: msg._id, hidden });
+      } catch (err) {
+        console.error('Hide message error:', err);
+        setError('Failed to update message');
       }
-  
-      const savedMessage = await response.json();
-      
-      // Replace optimistic message with saved message from server
-      setMessages(prev => prev.map(msg => 
-        msg.tempId === tempId ? savedMessage : msg
-      ));
+    },
+    onPin: async (msg, pinned) => {
+      try {
+        await applyPin(msg, pinned);
+      } catch (err) {
+        console.error('Pin error:', err);
+        setError(pinned ? 'Failed to pin message' : 'Failed to unpin message');
+      }
+    },
+    onMute: (msg) => restrictMember('mute', msg),
+    onBan: (msg) => {
+      if (window.confirm(`Ban ${msg.user} from this room?`)) restrictMember('ban', msg);
+    },
+  };
+
+  const jumpToLatest = () => setSearchParams({});
+
+  // A note in the timeline that only the current user sees (e.g. command output)
+  const notifyLocally = (text) => {
+    const clientId = createClientId();
+    freshKeysRef.current.add(clientId);
+    setMessages(prev => [...prev, { clientId, text, ephemeral: true, timestamp: formatTime(new Date()) }]);
+  };
+
+  const runCommand = async (command) => {
+    try {
+      await runSlashCommand(command, {
+        roomId,
+        room: activeRoom,
+        user: currentMember(),
+        isModerator,
+        messages,
+        mentionCandidates,
+        post: (text, options) => postMessage(text, options),
+        notify: notifyLocally,
+        pin: (msg) => applyPin(msg, true),
+        mute: (member, minutes) => applyRestriction('mute', member, minutes),
+      });
+      setNewMessage('');
     } catch (err) {
-      console.error('Message send error:', err);
-      setError('Failed to send message');
-      // Remove failed message
-      setMessages(prev => prev.filter(msg => msg.tempId !== tempId));
+      console.error('Command error:', err);
+      setError(err.message || 'Command failed');
+    }
+  };
+
+  const sendMessage = (e) => {
+    if (e) e.preventDefault();
+    if ((!newMessage.trim() && attachments.length === 0) || uploading || !auth.currentUser) return;
+
+    const command = attachments.length === 0 && parseSlashCommand(newMessage);
+    if (command) {
+      notifyStoppedTyping();
+      runCommand(command);
+      return;
     }
+
+    postMessage(newMessage, { attachments });
+    setNewMessage('');
+    clearUploads();
+    notifyStoppedTyping();
+    if (viewingHistory) jumpToLatest();
+  };
+
+  // Open a message (a search result or pin) in its room, centred and
+  // highlighted in the timeline
+  const jumpToMessage = (msg) => {
+    setSearchOpen(false);
+    setPinsOpen(false);
+    const params = new URLSearchParams({ message: msg.parentId || msg._id });
+    if (msg.parentId) params.set('thread', '1');
+    navigate(`/chat/${msg.roomId || roomId}?${params}`);
+  };
+
+  const openModeration = (tab) => {
+    setModerationTab(tab);
+    setModerationOpen(true);
+  };
+
+  const handleMessageChange = (value) => {
+    setNewMessage(value);
+    const user = auth.currentUser;
+    if (user && value.trim()) notifyTyping(user.displayName || user.email);
+  };
+
+  const typingNames = Object.values(typingUsers);
+  const typingLabel = typingNames.length === 0
+    ? ''
+    : typingNames.length === 1
+      ? `${typingNames[0]} is typing…`
+      : typingNames.length === 2
+        ? `${typingNames[0]} and ${typingNames[1]} are typing…`
+        : 'Several people are typing…';
+
+  const timelineSx = {
+    flex: 1,
+    overflowY: 'auto',
+    mb: 2,
+    borderRadius: 3,
+    background: theme.palette.mode === 'dark' 
+      ? 'linear-gradient(145deg, #1a1a1a, #2a2a2a)' 
+      : 'linear-gradient(145deg, #f8f9fa, #ffffff)',
+    boxShadow: theme.shadows[2],
+    padding: 2,
   };
 
+  const sidebar = (onSelect) => (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100%', minHeight: 0 }}>
+      <ChatRoomList activeRoomId={roomId} onSelect={onSelect} />
+      <Divider sx={{ my: 1 }} />
+      <Box sx={{ maxHeight: '40%', overflowY: 'auto' }}>
+        <ChatPresence members={members} />
+      </Box>
+    </Box>
+  );
+
   // Handle Enter key press
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -139,211 +702,356 @@ const Chat = () => {
   return (
     <Box
       sx={{
-        maxWidth: 800,
+        maxWidth: 1100,
         margin: 'auto',
         marginTop: 4,
         padding: 3,
         height: '80vh',
         display: 'flex',
-        flexDirection: 'column',
+        gap: 3,
         backgroundColor: theme.palette.background.paper,
         borderRadius: 4,
         boxShadow: 6,
       }}
     >
-      {/* Header */}
-      <Typography
-        variant="h4"
-        sx={{
-          color: theme.palette.primary.main,
-          fontWeight: 700,
-          textAlign: 'center',
-          mb: 2,
-          textShadow: `2px 2px 4px ${theme.palette.primary.light}33`,
-        }}
-      >
-        Community Hub
-      </Typography>
-
-      {/* Error Message */}
-      {error && (
-        <Typography
-          color="error"
-          sx={{
-            textAlign: 'center',
-            mb: 2,
-            backgroundColor: theme.palette.error.light + '22',
-            padding: 1,
-            borderRadius: 2,
-            border: `1px solid ${theme.palette.error.main}`
-          }}
-        >
-          ⚠️ {error}
-        </Typography>
+      {/* Room Sidebar */}
+      {isMobile ? (
+        <Drawer open={roomsOpen} onClose={() => setRoomsOpen(false)}>
+          <Box sx={{ width: 260, p: 2, height: '100%' }}>
+            {sidebar(() => setRoomsOpen(false))}
+          </Box>
+        </Drawer>
+      ) : (
+        <Box sx={{ width: 240, flexShrink: 0, borderRight: `1px solid ${theme.palette.divider}`, pr: 2 }}>
+          {sidebar()}
+        </Box>
       )}
 
-      {/* Chat Messages */}
-      <Box
-        sx={{
-          flex: 1,
-          overflowY: 'auto',
-          mb: 2,
-          borderRadius: 3,
-          background: theme.palette.mode === 'dark' 
-            ? 'linear-gradient(145deg, #1a1a1a, #2a2a2a)' 
-            : 'linear-gradient(145deg, #f8f9fa, #ffffff)',
-          boxShadow: theme.shadows[2],
-          padding: 2,
-        }}
-      >
-        {loading ? (
-          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
-            <CircularProgress size={40} thickness={4} />
+      <Box sx={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column' }}>
+        {/* Header */}
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 1, mb: 2 }}>
+          {isMobile && (
+            <IconButton onClick={() => setRoomsOpen(true)} aria-label="Open rooms">
+              <Forum />
+            </IconButton>
+          )}
+          <Box sx={{ textAlign: 'center' }}>
+            <Typography
+              variant="h4"
+              sx={{
+                color: theme.palette.primary.main,
+                fontWeight: 700,
+                textShadow: `2px 2px 4px ${theme.palette.primary.light}33`,
+              }}
+            >
+              {roomTitle}
+            </Typography>
+            {activeRoom?.description && (
+              <Typography variant="body2" sx={{ color: theme.palette.text.secondary }}>
+                {activeRoom.description}
+              </Typography>
+            )}
           </Box>
-        ) : messages.length === 0 ? (
+          <Tooltip title="Pinned messages">
+            <IconButton onClick={() => setPinsOpen(true)} aria-label="Pinned messages">
+              <Badge badgeContent={pins.length} color="primary">
+                <PushPin />
+              </Badge>
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Search messages">
+            <IconButton onClick={() => setSearchOpen(true)} aria-label="Search messages">
+              <Search />
+            </IconButton>
+          </Tooltip>
+          {!isBanned && (
+            <Tooltip title="Export transcript">
+              <IconButton onClick={() => setExportOpen(true)} aria-label="Export transcript">
+                <Download />
+              </IconButton>
+            </Tooltip>
+          )}
+          {isModerator && activeRoom?.type !== 'dm' && (
+            <Tooltip title="Moderation">
+              <IconButton onClick={() => openModeration('restrictions')} aria-label="Open moderation">
+                <Shield />
+              </IconButton>
+            </Tooltip>
+          )}
+        </Box>
+
+        {/* Error Message */}
+        {error && (
           <Typography
-            variant="body1"
+            color="error"
             sx={{
               textAlign: 'center',
-              color: theme.palette.text.secondary,
-              fontStyle: 'italic',
+              mb: 2,
+              backgroundColor: theme.palette.error.light + '22',
+              padding: 1,
+              borderRadius: 2,
+              border: `1px solid ${theme.palette.error.main}`
             }}
           >
-            Start the conversation 🌟
+            ⚠️ {error}
           </Typography>
-        ) : (
-          <List>
-            {messages.map((msg, index) => (
-              <motion.div
-                key={msg.tempId || index}
-                initial={{ opacity: 0, x: -20 }}
-                animate={{ opacity: 1, x: 0 }}
-                transition={{ duration: 0.3, delay: index * 0.05 }}
+        )}
+
+        {/* Room Announcement */}
+        {!isBanned && (
+          <ChatAnnouncement
+            key={roomId}
+            roomId={roomId}
+            announcement={activeRoom?.announcement}
+            onEdit={isModerator ? () => openModeration('announcement') : undefined}
+          />
+        )}
+
+        {/* Chat Messages */}
+        {isBanned ? (
+          <Box sx={timelineSx}>
+            <Typography
+              variant="body1"
+              sx={{ textAlign: 'center', color: theme.palette.text.secondary, mt: 4 }}
+            >
+              You have been banned from this room by a moderator.
+            </Typography>
+          </Box>
+        ) : loading || messages.length === 0 ? (
+          <Box sx={timelineSx}>
+            {loading ? (
+              <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+                <CircularProgress size={40} thickness={4} />
+              </Box>
+            ) : (
+              <Typography
+                variant="body1"
+                sx={{
+                  textAlign: 'center',
+                  color: theme.palette.text.secondary,
+                  fontStyle: 'italic',
+                }}
               >
-                <ListItem sx={{ alignItems: 'flex-start', py: 1.5 }}>
-                  <ListItemAvatar>
-                    <motion.div whileHover={{ scale: 1.1 }}>
-                      <Avatar
-                        src={msg.photoURL}
-                        sx={{
-                          width: 44,
-                          height: 44,
-                          boxShadow: 2,
-                          border: `2px solid ${theme.palette.primary.main}`
-                        }}
-                      />
-                    </motion.div>
-                  </ListItemAvatar>
-                  <ListItemText
-                    primary={
-                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                        <Typography 
-                          variant="subtitle1" 
-                          sx={{ 
-                            fontWeight: 700,
-                            color: theme.palette.primary.main,
-                          }}
-                        >
-                          {msg.user}
-                        </Typography>
-                        <Typography 
-                          variant="caption" 
-                          sx={{ 
-                            color: theme.palette.text.secondary,
-                            fontSize: '0.75rem',
-                          }}
-                        >
-                          {msg.timestamp}
-                        </Typography>
-                      </Box>
-                    }
-                    secondary={
-                      <motion.div
-                        initial={{ scale: 0.9 }}
-                        animate={{ scale: 1 }}
-                      >
-                        <Typography
-                          variant="body1"
-                          sx={{
-                            backgroundColor: theme.palette.action.selected,
-                            padding: 1.5,
-                            borderRadius: 3,
-                            wordBreak: 'break-word',
-                            position: 'relative',
-                            '&:before': {
-                              content: '""',
-                              position: 'absolute',
-                              left: -8,
-                              top: 12,
-                              width: 0,
-                              height: 0,
-                              borderTop: '8px solid transparent',
-                              borderBottom: '8px solid transparent',
-                              borderRight: `8px solid ${theme.palette.action.selected}`,
-                            }
-                          }}
-                        >
-                          {msg.text}
-                        </Typography>
-                      </motion.div>
-                    }
-                    secondaryTypographyProps={{ component: 'div' }}
-                  />
-                </ListItem>
-              </motion.div>
-            ))}
-            <div ref={messagesEndRef} />
-          </List>
+                Start the conversation 🌟
+              </Typography>
+            )}
+          </Box>
+        ) : (
+          <ChatMessageList
+            messages={messages}
+            hasMore={hasMore}
+            loadingOlder={loadingOlder}
+            onLoadOlder={loadOlderMessages}
+            freshKeys={freshKeysRef.current}
+            onAnimated={(key) => freshKeysRef.current.delete(key)}
+            focusKey={focusMessage && messageKey(focusMessage)}
+            sx={timelineSx}
+            renderMessage={(msg) => (
+              <>
+                {messageKey(msg) === unreadFromKey && (
+                  <Divider
+                    sx={{
+                      my: 1,
+                      typography: 'caption',
+                      fontWeight: 700,
+                      color: theme.palette.error.main,
+                      '&::before, &::after': { borderColor: theme.palette.error.main },
+                    }}
+                  >
+                    New messages
+                  </Divider>
+                )}
+                <ChatMessage
+                  message={msg}
+                  highlighted={msg._id === focusId}
+                  pinned={pinnedIds.has(msg._id)}
+                  onVote={voteInPoll}
+                  onClosePoll={closePollMessage}
+                  onReply={openThread}
+                  onEdit={editMessage}
+                  onDelete={removeMessage}
+                  onReact={reactToMessage}
+                  onAvatarClick={messageAuthor}
+                  onRetry={retryMessage}
+                  onReport={setReportTarget}
+                  moderation={isModerator ? moderation : undefined}
+                />
+              </>
+            )}
+          />
+        )}
+
+        {viewingHistory && !isBanned && (
+          <Button
+            size="small"
+            startIcon={<KeyboardDoubleArrowDown />}
+            onClick={jumpToLatest}
+            sx={{ alignSelf: 'center', mt: -1, mb: 1, borderRadius: 4 }}
+          >
+            Jump to latest
+          </Button>
         )}
+
+        {/* Typing Indicator */}
+        <Typography
+          variant="caption"
+          sx={{
+            minHeight: 20,
+            mt: -1.5,
+            mb: 0.5,
+            px: 1,
+            color: theme.palette.text.secondary,
+            fontStyle: 'italic',
+          }}
+        >
+          {typingLabel}
+        </Typography>
+
+        {/* Message Input */}
+        <form onSubmit={sendMessage}>
+          <ChatUploadTray uploads={uploads} onRemove={removeUpload} />
+          <Box sx={{ 
+            display: 'flex', 
+            gap: 1, 
+            alignItems: 'center',
+            background: theme.palette.background.paper,
+            borderRadius: 3,
+            padding: 1,
+            boxShadow: theme.shadows[2],
+          }}>
+            <ChatAttachButton onFiles={addFiles} disabled={isMuted || isBanned} />
+            <Tooltip title="Create a poll">
+              <span>
+                <IconButton onClick={() => setPollOpen(true)} disabled={isMuted || isBanned} aria-label="Create a poll">
+                  <Poll />
+                </IconButton>
+              </span>
+            </Tooltip>
+            <ChatComposerField
+              candidates={mentionCandidates}
+              commands={getSlashCommands({ isModerator })}
+              fullWidth
+              variant="outlined"
+              placeholder={mutedUntil
+                ? `You are muted until ${formatTime(mutedUntil)}`
+                : 'Share your thoughts...'}
+              disabled={isMuted || isBanned}
+              value={newMessage}
+              onChange={handleMessageChange}
+              multiline
+              maxRows={4}
+              InputProps={{
+                sx: {
+                  borderRadius: 2,
+                  '& fieldset': { border: 'none' },
+                  '&:hover fieldset': { border: 'none' },
+                  '&.Mui-focused fieldset': { border: 'none' },
+                }
+              }}
+              onKeyPress={handleKeyPress} // Handle Enter key press
+            />
+            <motion.div whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+              <IconButton
+                type="submit"
+                disabled={isMuted || isBanned || uploading}
+                sx={{
+                  background: theme.palette.primary.main,
+                  color: theme.palette.primary.contrastText,
+                  '&:hover': {
+                    background: theme.palette.primary.dark,
+                  },
+                  borderRadius: 2,
+                  p: 1.5,
+                }}
+              >
+                <SendIcon fontSize="medium" />
+              </IconButton>
+            </motion.div>
+          </Box>
+        </form>
       </Box>
 
-      {/* Message Input */}
-      <form onSubmit={sendMessage}>
-        <Box sx={{ 
-          display: 'flex', 
-          gap: 1, 
-          alignItems: 'center',
-          background: theme.palette.background.paper,
-          borderRadius: 3,
-          padding: 1,
-          boxShadow: theme.shadows[2],
-        }}>
-          <TextField
-            fullWidth
-            variant="outlined"
-            placeholder="Share your thoughts..."
-            value={newMessage}
-            onChange={(e) => setNewMessage(e.target.value)}
-            multiline
-            maxRows={4}
-            InputProps={{
-              sx: {
-                borderRadius: 2,
-                '& fieldset': { border: 'none' },
-                '&:hover fieldset': { border: 'none' },
-                '&.Mui-focused fieldset': { border: 'none' },
-              }
-            }}
-            onKeyPress={handleKeyPress} // Handle Enter key press
+      {/* Thread Panel */}
+      {threadParent && (isMobile ? (
+        <Drawer anchor="right" open onClose={closeThread}>
+          <Box sx={{ width: '90vw', p: 2, height: '100%' }}>
+            <ChatThread
+              parent={threadParent}
+              replies={threadReplies}
+              loading={threadLoading}
+              onSend={(text, replyAttachments) => postMessage(text, { attachments: replyAttachments, parentId: threadParent._id })}
+              onEdit={editMessage}
+              onDelete={removeMessage}
+              onReact={reactToMessage}
+              onRetry={retryMessage}
+              onClose={closeThread}
+              onReport={setReportTarget}
+              moderation={isModerator ? moderation : undefined}
+              composerDisabled={isMuted || isBanned}
+              onUploadError={setError}
+              mentionCandidates={mentionCandidates}
+              parentPinned={pinnedIds.has(threadParent._id)}
+            />
+          </Box>
+        </Drawer>
+      ) : (
+        <Box sx={{ width: 320, flexShrink: 0, borderLeft: `1px solid ${theme.palette.divider}`, pl: 2 }}>
+          <ChatThread
+            parent={threadParent}
+            replies={threadReplies}
+            loading={threadLoading}
+            onSend={(text, replyAttachments) => postMessage(text, { attachments: replyAttachments, parentId: threadParent._id })}
+            onEdit={editMessage}
+            onDelete={removeMessage}
+            onReact={reactToMessage}
+            onRetry={retryMessage}
+            onClose={closeThread}
+            onReport={setReportTarget}
+            moderation={isModerator ? moderation : undefined}
+            composerDisabled={isMuted || isBanned}
+            onUploadError={setError}
+            mentionCandidates={mentionCandidates}
+            parentPinned={pinnedIds.has(threadParent._id)}
           />
-          <motion.div whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
-            <IconButton
-              type="submit"
-              sx={{
-                background: theme.palette.primary.main,
-                color: theme.palette.primary.contrastText,
-                '&:hover': {
-                  background: theme.palette.primary.dark,
-                },
-                borderRadius: 2,
-                p: 1.5,
-              }}
-            >
-              <SendIcon fontSize="medium" />
-            </IconButton>
-          </motion.div>
         </Box>
-      </form>
+      ))}
+
+      <ChatExportDialog
+        open={exportOpen}
+        room={{ id: roomId, name: roomTitle }}
+        onClose={() => setExportOpen(false)}
+      />
+      <ChatPollDialog
+        open={pollOpen}
+        onClose={() => setPollOpen(false)}
+        onCreate={(poll) => postMessage(poll.question, { poll })}
+      />
+      <ChatPinnedMessages
+        open={pinsOpen}
+        pins={pins}
+        onClose={() => setPinsOpen(false)}
+        onSelect={jumpToMessage}
+        onUnpin={isModerator ? (msg) => moderation.onPin(msg, false) : undefined}
+      />
+      <ChatSearch
+        open={searchOpen}
+        onClose={() => setSearchOpen(false)}
+        activeRoomId={roomId}
+        onJump={jumpToMessage}
+      />
+      <ChatReportDialog
+        message={reportTarget}
+        onSubmit={submitReport}
+        onClose={() => setReportTarget(null)}
+      />
+      {isModerator && activeRoom && (
+        <ChatModeration
+          room={activeRoom}
+          open={moderationOpen}
+          initialTab={moderationTab}
+          onClose={() => setModerationOpen(false)}
+        />
+      )}
     </Box>
   );
 };
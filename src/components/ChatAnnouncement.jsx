@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Alert, AlertTitle, IconButton, Tooltip } from '@mui/material';
+import { Campaign, Close, Edit } from '@mui/icons-material';
+import ChatMessageText from './ChatMessageText';
+
+// Remember which announcement version each room's banner was dismissed at, so
+// a new announcement shows up again
+const dismissKey = (roomId) => `chat-announcement-dismissed:${roomId}`;
+
+const readDismissed = (roomId) => {
+  try {
+    return window.localStorage.getItem(dismissKey(roomId));
+  } catch {
+    return null;
+  }
+};
+
+// Room announcement banner shown above the timeline (keyed by room, so the
+// dismissed state is re-read on room change). `onEdit` is only passed for moderators.
+const ChatAnnouncement = ({ roomId, announcement, onEdit }) => {
+  const version = announcement?.updatedAt || announcement?.text;
+  const [dismissed, setDismissed] = useState(() => readDismissed(roomId));
+
+  if (!announcement?.text || dismissed === version) return null;
+
+  const dismiss = () => {
+    try {
+      window.localStorage.setItem(dismissKey(roomId), version);
+    } catch {
+      // Private browsing: only hide it for this visit
+    }
+    setDismissed(version);
+  };
+
+  return (
+    <Alert
+      severity="info"
+      icon={<Campaign />}
+      sx={{ mb: 2, borderRadius: 3, '& .MuiAlert-message': { minWidth: 0, flex: 1 } }}
+      action={
+        <>
+          {onEdit && (
+            <Tooltip title="Edit announcement">
+              <IconButton size="small" color="inherit" onClick={onEdit} aria-label="Edit announcement">
+                <Edit fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          <IconButton size="small" color="inherit" onClick={dismiss} aria-label="Dismiss announcement">
+            <Close fontSize="small" />
+          </IconButton>
+        </>
+      }
+    >
+      <AlertTitle sx={{ fontWeight: 700 }}>Announcement</AlertTitle>
+      <ChatMessageText text={announcement.text} />
+    </Alert>
+  );
+};
+
+export default ChatAnnouncement;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { Box, Dialog, IconButton, Link, Paper, Typography, useTheme } from '@mui/material';
+import { Close, Download, PictureAsPdf } from '@mui/icons-material';
+import { formatFileSize } from '../utils/chat';
+import { isCloudinaryUrl } from '../utils/cloudinaryUpload';
+
+// Attachments on a sent message: image thumbnails that open in a lightbox,
+// and download cards for documents. Attachments whose URL isn't one of our
+// Cloudinary files are dropped.
+const ChatAttachments = ({ attachments }) => {
+  const theme = useTheme();
+  const [lightbox, setLightbox] = useState(null);
+  const safe = attachments.filter((attachment) => isCloudinaryUrl(attachment.url));
+  const images = safe.filter((attachment) => attachment.kind === 'image');
+  const files = safe.filter((attachment) => attachment.kind !== 'image');
+
+  if (safe.length === 0) return null;
+
+  return (
+    <Box sx={{ mt: 1, display: 'flex', flexDirection: 'column', gap: 1 }}>
+      {images.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+          {images.map((image) => (
+            <Box
+              key={image.url}
+              component="img"
+              src={image.url}
+              alt={image.name}
+              loading="lazy"
+              onClick={() => setLightbox(image)}
+              sx={{
+                maxWidth: images.length === 1 ? 320 : 150,
+                maxHeight: images.length === 1 ? 240 : 150,
+                objectFit: 'cover',
+                borderRadius: 2,
+                cursor: 'zoom-in',
+                boxShadow: theme.shadows[1],
+              }}
+            />
+          ))}
+        </Box>
+      )}
+
+      {files.map((file) => (
+        <Paper
+          key={file.url}
+          variant="outlined"
+          sx={{ display: 'flex', alignItems: 'center', gap: 1.5, p: 1, borderRadius: 2, maxWidth: 320 }}
+        >
+          <PictureAsPdf sx={{ color: theme.palette.error.main }} />
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            <Typography variant="body2" noWrap sx={{ fontWeight: 600 }}>
+              {file.name}
+            </Typography>
+            <Typography variant="caption" sx={{ color: theme.palette.text.secondary }}>
+              {formatFileSize(file.size)}
+            </Typography>
+          </Box>
+          <IconButton
+            component={Link}
+            href={file.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            download={file.name}
+            aria-label={`Download ${file.name}`}
+          >
+            <Download />
+          </IconButton>
+        </Paper>
+      ))}
+
+      {/* Lightbox */}
+      <Dialog open={Boolean(lightbox)} onClose={() => setLightbox(null)} maxWidth="lg">
+        {lightbox && (
+          <Box sx={{ position: 'relative', bgcolor: 'common.black' }}>
+            <IconButton
+              onClick={() => setLightbox(null)}
+              aria-label="Close image"
+              sx={{ position: 'absolute', top: 8, right: 8, color: 'common.white', bgcolor: 'rgba(0,0,0,0.4)' }}
+            >
+              <Close />
+            </IconButton>
+            <Box
+              component="img"
+              src={lightbox.url}
+              alt={lightbox.name}
+              sx={{ display: 'block', maxWidth: '90vw', maxHeight: '85vh', objectFit: 'contain' }}
+            />
+          </Box>
+        )}
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ChatAttachments;
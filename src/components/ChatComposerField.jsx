@@ -0,0 +1,152 @@
+import React, { useState, useRef } from 'react';
+import {
+  Avatar,
+  ListItemAvatar,
+  ListItemText,
+  MenuItem,
+  MenuList,
+  Paper,
+  Popper,
+  TextField,
+  Typography
+} from '@mui/material';
+import { getMentionQuery } from '../utils/formatting';
+
+const MAX_SUGGESTIONS = 6;
+
+// Composer text field with @mention and /command autocomplete. `onChange`
+// receives the new text; `candidates` are the people that can be mentioned
+// ({ uid, user, photoURL }) and `commands` the slash commands on offer.
+const ChatComposerField = ({ value, onChange, candidates, commands = [], onKeyDown, onBlur, ...props }) => {
+  const inputRef = useRef(null);
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [caret, setCaret] = useState(null);
+  const [dismissed, setDismissed] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+
+  // Replace text[start, end) and put the caret after the inserted text once
+  // React has re-rendered
+  const replaceRange = (start, end, inserted) => {
+    onChange(`${value.slice(0, start)}${inserted}${value.slice(end)}`);
+    const position = start + inserted.length;
+    setCaret(position);
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(position, position);
+    });
+  };
+
+  const commandMatch = commands.length > 0 && caret !== null ? value.slice(0, caret).match(/^\/(\S*)$/) : null;
+  const activeCommand = commands.length > 0
+    ? commands.find((command) => value.startsWith(`/${command.name} `))
+    : null;
+  const mention = caret !== null ? getMentionQuery(value, caret) : null;
+
+  let suggestions = [];
+  if (commandMatch) {
+    suggestions = commands
+      .filter((command) => command.name.startsWith(commandMatch[1].toLowerCase()))
+      .map((command) => ({
+        key: command.name,
+        primary: `/${command.name}`,
+        secondary: command.description,
+        apply: () => replaceRange(0, caret, `/${command.name} `),
+      }));
+  } else if (mention) {
+    suggestions = candidates
+      .filter((candidate) => candidate.user.toLowerCase().includes(mention.query.toLowerCase()))
+      .map((candidate) => ({
+        key: candidate.uid,
+        primary: candidate.user,
+        avatar: candidate.photoURL || '',
+        apply: () => replaceRange(mention.start, mention.start + mention.query.length + 1, `@${candidate.user} `),
+      }));
+  }
+  suggestions = dismissed ? [] : suggestions.slice(0, MAX_SUGGESTIONS);
+  const hint = caret !== null && !suggestions.length && activeCommand?.usage;
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    setCaret(e.target.selectionStart);
+    setDismissed(false);
+    setHighlighted(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setHighlighted((highlighted + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        suggestions[Math.min(highlighted, suggestions.length - 1)].apply();
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setDismissed(true);
+        return;
+      }
+    }
+    onKeyDown?.(e);
+  };
+
+  const handleBlur = (e) => {
+    setCaret(null);
+    onBlur?.(e);
+  };
+
+  return (
+    <>
+      <TextField
+        {...props}
+        ref={setAnchorEl}
+        inputRef={inputRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onSelect={(e) => setCaret(e.target.selectionStart)}
+        onBlur={handleBlur}
+      />
+      <Popper
+        open={suggestions.length > 0 || Boolean(hint)}
+        anchorEl={anchorEl}
+        placement="top-start"
+        sx={{ zIndex: (theme) => theme.zIndex.modal + 1 }}
+      >
+        <Paper elevation={4} sx={{ minWidth: 220 }}>
+          {hint ? (
+            // Argument hint for the command being typed
+            <Typography variant="caption" component="div" sx={{ px: 1.5, py: 1, fontFamily: 'monospace' }}>
+              {hint}
+            </Typography>
+          ) : (
+            <MenuList dense>
+              {suggestions.map((suggestion, index) => (
+                <MenuItem
+                  key={suggestion.key}
+                  selected={index === highlighted}
+                  // Keep focus in the text field while picking a suggestion
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={suggestion.apply}
+                >
+                  {suggestion.avatar !== undefined && (
+                    <ListItemAvatar sx={{ minWidth: 36 }}>
+                      <Avatar src={suggestion.avatar} sx={{ width: 24, height: 24 }} />
+                    </ListItemAvatar>
+                  )}
+                  <ListItemText primary={suggestion.primary} secondary={suggestion.secondary} />
+                </MenuItem>
+              ))}
+            </MenuList>
+          )}
+        </Paper>
+      </Popper>
+    </>
+  );
+};
+
+export default ChatComposerField;
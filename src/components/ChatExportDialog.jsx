@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  FormLabel,
+  Radio,
+  RadioGroup,
+  TextField,
+  Typography
+} from '@mui/material';
+import { TRANSCRIPT_FORMATS, downloadTranscript, loadTranscript } from '../utils/transcript';
+
+// Exports a room's history, or the part between two dates, as a file.
+// `room` is { id, name } with the name as shown in the chat header.
+const ChatExportDialog = ({ open, room, onClose }) => {
+  const [format, setFormat] = useState('markdown');
+  const [range, setRange] = useState('all');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+
+  const exporting = progress !== null;
+
+  const handleClose = () => {
+    if (exporting) return;
+    setError('');
+    onClose();
+  };
+
+  const handleExport = async () => {
+    // Date inputs are local days; include the whole of the last one
+    const from = range === 'dates' && fromDate ? new Date(`${fromDate}T00:00:00`) : null;
+    const to = range === 'dates' && toDate ? new Date(`${toDate}T23:59:59.999`) : null;
+    if (range === 'dates' && !from && !to) {
+      setError('Choose a start or end date');
+      return;
+    }
+    if (from && to && from > to) {
+      setError('The start date must be before the end date');
+      return;
+    }
+
+    setError('');
+    setProgress(0);
+    try {
+      const transcript = await loadTranscript({ room, from, to, onProgress: setProgress });
+      downloadTranscript(transcript, format);
+      onClose();
+    } catch (err) {
+      console.error('Transcript export error:', err);
+      setError('Failed to export the transcript');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="xs">
+      <DialogTitle>Export Transcript</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Typography color="error" variant="body2" sx={{ mb: 1 }}>
+            {error}
+          </Typography>
+        )}
+        <FormLabel>Format</FormLabel>
+        <RadioGroup row value={format} onChange={(e) => setFormat(e.target.value)}>
+          {TRANSCRIPT_FORMATS.map((option) => (
+            <FormControlLabel
+              key={option.value}
+              value={option.value}
+              control={<Radio size="small" />}
+              label={option.label}
+            />
+          ))}
+        </RadioGroup>
+
+        <FormLabel sx={{ display: 'block', mt: 2 }}>Messages</FormLabel>
+        <RadioGroup value={range} onChange={(e) => setRange(e.target.value)}>
+          <FormControlLabel value="all" control={<Radio size="small" />} label="Entire history" />
+          <FormControlLabel value="dates" control={<Radio size="small" />} label="Between dates" />
+        </RadioGroup>
+        {range === 'dates' && (
+          <Box sx={{ display: 'flex', gap: 2, mt: 1 }}>
+            <TextField
+              size="small"
+              type="date"
+              label="From"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+            <TextField
+              size="small"
+              type="date"
+              label="To"
+              value={toDate}
+              onChange={(e) => setToDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+          </Box>
+        )}
+
+        {exporting && (
+          <Typography variant="body2" sx={{ color: 'text.secondary', mt: 2 }}>
+            Loaded {progress} messages...
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={exporting}>Cancel</Button>
+        <Button variant="contained" onClick={handleExport} disabled={exporting}>
+          {exporting ? 'Exporting...' : 'Export'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ChatExportDialog;
@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Card, CardActionArea, CardMedia, Typography, useTheme } from '@mui/material';
+import { fetchLinkPreview } from '../utils/api';
+
+// Previews are shared by every message linking the same URL; failed lookups
+// are cached as null so they are not retried on each render
+const previewCache = new Map();
+
+const loadPreview = (url) => {
+  if (!previewCache.has(url)) {
+    previewCache.set(url, fetchLinkPreview(url).catch(() => null));
+  }
+  return previewCache.get(url);
+};
+
+const ChatLinkPreview = ({ url }) => {
+  const theme = useTheme();
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadPreview(url).then((data) => {
+      if (!cancelled) setPreview(data);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  if (!preview?.title) return null;
+
+  return (
+    <Card variant="outlined" sx={{ mt: 1, maxWidth: 400, borderRadius: 2 }}>
+      <CardActionArea
+        component="a"
+        href={url}
+        target="_blank"
+        rel="noopener noreferrer"
+        sx={{ display: 'flex', alignItems: 'stretch', justifyContent: 'flex-start' }}
+      >
+        {preview.image && (
+          <CardMedia component="img" image={preview.image} alt="" sx={{ width: 96, flexShrink: 0, objectFit: 'cover' }} />
+        )}
+        <Box sx={{ p: 1.5, minWidth: 0 }}>
+          {preview.siteName && (
+            <Typography variant="caption" sx={{ color: theme.palette.text.secondary }}>
+              {preview.siteName}
+            </Typography>
+          )}
+          <Typography variant="subtitle2" noWrap>
+            {preview.title}
+          </Typography>
+          {preview.description && (
+            <Typography
+              variant="body2"
+              sx={{
+                color: theme.palette.text.secondary,
+                display: '-webkit-box',
+                WebkitLineClamp: 2,
+                WebkitBoxOrient: 'vertical',
+                overflow: 'hidden',
+              }}
+            >
+              {preview.description}
+            </Typography>
+          )}
+        </Box>
+      </CardActionArea>
+    </Card>
+  );
+};
+
+export default ChatLinkPreview;
@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { Button, IconButton, Snackbar } from '@mui/material';
+import { Close } from '@mui/icons-material';
+import { useSelector } from 'react-redux';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { DEFAULT_ROOM_ID } from '../redux/chatSlice';
+import { getRealtimeClient } from '../realtime';
+
+const roomPath = (roomId) => (roomId && roomId !== DEFAULT_ROOM_ID ? `/chat/${roomId}` : '/chat');
+
+const notificationPermission = () => window.Notification?.permission;
+
+// Tells the signed-in user when someone @mentions them. The server sends a
+// `mention` event ({ roomId, roomName, from, text }) on the user's private channel.
+// Desktop notifications for background tabs are offered from the snackbar,
+// since browsers only let a click ask for permission.
+const ChatMentionNotifier = () => {
+  const user = useSelector((state) => state.auth.user);
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [mention, setMention] = useState(null);
+  const [permission, setPermission] = useState(notificationPermission);
+  const uid = user?.uid;
+  const currentPath = location.pathname;
+
+  useEffect(() => {
+    if (!uid) return;
+
+    const subscription = getRealtimeClient().subscribe(`private-user-${uid}`, {
+      mention: (data) => {
+        // Already looking at the room, unless the tab is in the background
+        if (roomPath(data.roomId) === currentPath && !document.hidden) return;
+
+        setMention(data);
+        if (document.hidden && notificationPermission() === 'granted') {
+          new window.Notification(`${data.from?.user || 'Someone'} mentioned you`, {
+            body: data.text,
+            tag: data.messageId,
+          });
+        }
+      },
+    });
+
+    return () => subscription.unsubscribe();
+  }, [uid, currentPath]);
+
+  const viewMention = () => {
+    navigate(roomPath(mention.roomId));
+    setMention(null);
+  };
+
+  const enableNotifications = async () => {
+    try {
+      setPermission(await window.Notification.requestPermission());
+    } catch {
+      setPermission(notificationPermission());
+    }
+  };
+
+  return (
+    <Snackbar
+      open={Boolean(mention)}
+      autoHideDuration={6000}
+      onClose={(e, reason) => {
+        if (reason !== 'clickaway') setMention(null);
+      }}
+      anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      message={mention && `${mention.from?.user || 'Someone'} mentioned you${mention.roomName ? ` in ${mention.roomName}` : ''}`}
+      action={
+        <>
+          {permission === 'default' && (
+            <Button color="inherit" size="small" onClick={enableNotifications}>
+              Desktop alerts
+            </Button>
+          )}
+          <Button color="secondary" size="small" onClick={viewMention}>
+            View
+          </Button>
+          <IconButton color="inherit" size="small" onClick={() => setMention(null)} aria-label="Dismiss">
+            <Close fontSize="small" />
+          </IconButton>
+        </>
+      }
+    />
+  );
+};
+
+export default ChatMentionNotifier;
@@ -0,0 +1,344 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  IconButton,
+  Menu,
+  MenuItem,
+  TextField,
+  Typography,
+  ListItem,
+  ListItemAvatar,
+  Avatar,
+  ListItemText,
+  useTheme
+} from '@mui/material';
+import {
+  Reply,
+  MoreVert,
+  Edit,
+  Delete,
+  Schedule,
+  ErrorOutline,
+  Done,
+  Flag,
+  VisibilityOff,
+  Visibility,
+  VolumeOff,
+  Block,
+  PushPin
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import { auth } from '../firebase';
+import ChatReactions from './ChatReactions';
+import ChatAttachments from './ChatAttachments';
+import ChatMessageText from './ChatMessageText';
+import ChatLinkPreview from './ChatLinkPreview';
+import ChatPoll from './ChatPoll';
+import { extractUrls } from '../utils/formatting';
+
+// `moderation` ({ onHide, onPin, onMute, onBan }) is only passed for room
+// moderators; `highlighted` marks the message a search result jumped to
+const ChatMessage = ({
+  message: msg,
+  onReply,
+  onEdit,
+  onDelete,
+  onReact,
+  onAvatarClick,
+  onRetry,
+  onReport,
+  onVote,
+  onClosePoll,
+  moderation,
+  highlighted,
+  pinned
+}) => {
+  const theme = useTheme();
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const replyCount = msg.replyCount || 0;
+  const isOwn = Boolean(msg._id && msg.uid && msg.uid === auth.currentUser?.uid);
+  const canManage = isOwn && !msg.deleted && (onEdit || onDelete);
+  const canReport = Boolean(onReport && msg._id && !isOwn && !msg.deleted);
+  const canModerate = Boolean(moderation && msg._id && !msg.deleted);
+  const concealed = msg.hidden && !moderation;
+  // Only the first link in a message gets a preview card
+  const previewUrl = msg.text && !msg.deleted && !concealed ? extractUrls(msg.text)[0] : null;
+  const canMessage = Boolean(onAvatarClick && msg.uid && msg.uid !== auth.currentUser?.uid);
+
+  const startEditing = () => {
+    setMenuAnchor(null);
+    setDraft(msg.text);
+    setEditing(true);
+  };
+
+  const saveEdit = () => {
+    const text = draft.trim();
+    setEditing(false);
+    if (text && text !== msg.text) onEdit(msg, text);
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      saveEdit();
+    } else if (e.key === 'Escape') {
+      setEditing(false);
+    }
+  };
+
+  // Close the menu before running one of its actions
+  const menuAction = (action) => () => {
+    setMenuAnchor(null);
+    action(msg);
+  };
+
+  if (msg.ephemeral) {
+    return (
+      <ListItem sx={{ py: 0.5, justifyContent: 'center' }}>
+        <Typography variant="caption" sx={{ color: theme.palette.text.secondary, fontStyle: 'italic' }}>
+          {msg.text} · Only visible to you
+        </Typography>
+      </ListItem>
+    );
+  }
+
+  return (
+    <ListItem
+      sx={{
+        alignItems: 'flex-start',
+        py: 1.5,
+        borderRadius: 3,
+        transition: 'background-color 0.6s',
+        backgroundColor: highlighted ? `${theme.palette.warning.light}33` : 'transparent',
+      }}
+    >
+      <ListItemAvatar>
+        <motion.div whileHover={{ scale: 1.1 }}>
+          <Avatar
+            src={msg.photoURL}
+            onClick={canMessage ? () => onAvatarClick(msg) : undefined}
+            title={canMessage ? `Message ${msg.user}` : undefined}
+            sx={{
+              cursor: canMessage ? 'pointer' : 'default',
+              width: 44,
+              height: 44,
+              boxShadow: 2,
+              border: `2px solid ${theme.palette.primary.main}`
+            }}
+          />
+        </motion.div>
+      </ListItemAvatar>
+      <ListItemText
+        primary={
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Typography
+              variant="subtitle1"
+              sx={{
+                fontWeight: 700,
+                color: theme.palette.primary.main,
+              }}
+            >
+              {msg.user}
+            </Typography>
+            <Typography
+              variant="caption"
+              sx={{
+                color: theme.palette.text.secondary,
+                fontSize: '0.75rem',
+              }}
+            >
+              {msg.timestamp}
+            </Typography>
+            {msg.status === 'pending' && (
+              <Typography variant="caption" sx={{ display: 'flex', alignItems: 'center', gap: 0.5, color: theme.palette.text.secondary }}>
+                <Schedule sx={{ fontSize: 14 }} /> Sending…
+              </Typography>
+            )}
+            {msg.status === 'sent' && (
+              <Done sx={{ fontSize: 14, color: theme.palette.success.main }} titleAccess="Sent" />
+            )}
+            {msg.status === 'failed' && (
+              <Typography variant="caption" sx={{ display: 'flex', alignItems: 'center', gap: 0.5, color: theme.palette.error.main }}>
+                <ErrorOutline sx={{ fontSize: 14 }} /> Not sent
+                {onRetry && (
+                  <Button size="small" color="error" onClick={() => onRetry(msg)} sx={{ minWidth: 0, py: 0, textTransform: 'none' }}>
+                    Retry
+                  </Button>
+                )}
+              </Typography>
+            )}
+            {msg.editedAt && !msg.deleted && (
+              <Typography variant="caption" sx={{ color: theme.palette.text.secondary, fontStyle: 'italic' }}>
+                (edited)
+              </Typography>
+            )}
+            {pinned && (
+              <PushPin sx={{ fontSize: 14, color: theme.palette.text.secondary }} titleAccess="Pinned" />
+            )}
+            {msg.hidden && moderation && (
+              <Typography variant="caption" sx={{ color: theme.palette.warning.main, fontStyle: 'italic' }}>
+                (hidden)
+              </Typography>
+            )}
+            {(canManage || canReport || canModerate) && (
+              <>
+                <IconButton
+                  size="small"
+                  onClick={(e) => setMenuAnchor(e.currentTarget)}
+                  aria-label="Message actions"
+                  sx={{ ml: 'auto' }}
+                >
+                  <MoreVert fontSize="small" />
+                </IconButton>
+                <Menu anchorEl={menuAnchor} open={Boolean(menuAnchor)} onClose={() => setMenuAnchor(null)}>
+                  {canManage && onEdit && !msg.poll && (
+                    <MenuItem onClick={startEditing}>
+                      <Edit fontSize="small" sx={{ mr: 1 }} /> Edit
+                    </MenuItem>
+                  )}
+                  {canManage && onDelete && (
+                    <MenuItem onClick={menuAction(onDelete)} sx={{ color: theme.palette.error.main }}>
+                      <Delete fontSize="small" sx={{ mr: 1 }} /> Delete
+                    </MenuItem>
+                  )}
+                  {canReport && (
+                    <MenuItem onClick={menuAction(onReport)}>
+                      <Flag fontSize="small" sx={{ mr: 1 }} /> Report
+                    </MenuItem>
+                  )}
+                  {canModerate && (
+                    <MenuItem onClick={menuAction((target) => moderation.onHide(target, !target.hidden))}>
+                      {msg.hidden
+                        ? <><Visibility fontSize="small" sx={{ mr: 1 }} /> Unhide</>
+                        : <><VisibilityOff fontSize="small" sx={{ mr: 1 }} /> Hide</>}
+                    </MenuItem>
+                  )}
+                  {canModerate && moderation.onPin && !msg.parentId && (
+                    <MenuItem onClick={menuAction((target) => moderation.onPin(target, !pinned))}>
+                      <PushPin fontSize="small" sx={{ mr: 1 }} /> {pinned ? 'Unpin' : 'Pin to room'}
+                    </MenuItem>
+                  )}
+                  {canModerate && !isOwn && (
+                    <MenuItem onClick={menuAction(moderation.onMute)}>
+                      <VolumeOff fontSize="small" sx={{ mr: 1 }} /> Mute for 1 hour
+                    </MenuItem>
+                  )}
+                  {canModerate && !isOwn && (
+                    <MenuItem onClick={menuAction(moderation.onBan)} sx={{ color: theme.palette.error.main }}>
+                      <Block fontSize="small" sx={{ mr: 1 }} /> Ban from room
+                    </MenuItem>
+                  )}
+                </Menu>
+              </>
+            )}
+          </Box>
+        }
+        secondary={
+          <>
+            {msg.deleted || concealed ? (
+              <Typography
+                variant="body2"
+                sx={{
+                  color: theme.palette.text.secondary,
+                  fontStyle: 'italic',
+                  padding: 1.5,
+                  borderRadius: 3,
+                  border: `1px dashed ${theme.palette.divider}`,
+                }}
+              >
+                {msg.deleted ? 'This message was deleted' : 'Hidden by a moderator'}
+              </Typography>
+            ) : editing ? (
+              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+                <TextField
+                  autoFocus
+                  fullWidth
+                  size="small"
+                  multiline
+                  maxRows={4}
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onKeyDown={handleEditKeyDown}
+                />
+                <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+                  <Button size="small" onClick={() => setEditing(false)}>Cancel</Button>
+                  <Button size="small" variant="contained" onClick={saveEdit}>Save</Button>
+                </Box>
+              </Box>
+            ) : (
+              <Box>
+                {msg.poll ? (
+                  <ChatPoll
+                    poll={msg.poll}
+                    onVote={onVote && msg._id ? (optionIds) => onVote(msg, optionIds) : undefined}
+                    onClose={onClosePoll && msg._id && (isOwn || moderation) ? () => onClosePoll(msg) : undefined}
+                  />
+                ) : msg.text && (
+                  <Typography
+                    variant="body1"
+                    component="div"
+                    sx={{
+                      backgroundColor: theme.palette.action.selected,
+                      padding: 1.5,
+                      borderRadius: 3,
+                      wordBreak: 'break-word',
+                      position: 'relative',
+                      '&:before': {
+                        content: '""',
+                        position: 'absolute',
+                        left: -8,
+                        top: 12,
+                        width: 0,
+                        height: 0,
+                        borderTop: '8px solid transparent',
+                        borderBottom: '8px solid transparent',
+                        borderRight: `8px solid ${theme.palette.action.selected}`,
+                      }
+                    }}
+                  >
+                    <ChatMessageText text={msg.text} mentions={msg.mentions} />
+                  </Typography>
+                )}
+                {previewUrl && <ChatLinkPreview url={previewUrl} />}
+                {msg.attachments?.length > 0 && <ChatAttachments attachments={msg.attachments} />}
+              </Box>
+            )}
+
+            {onReact && msg._id && !msg.deleted && (
+              <ChatReactions reactions={msg.reactions} onToggle={(emoji) => onReact(msg, emoji)} />
+            )}
+
+            {/* Thread actions (only for top-level messages that are saved) */}
+            {onReply && msg._id && !msg.deleted && (
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 0.5 }}>
+                <Button
+                  size="small"
+                  startIcon={<Reply fontSize="small" />}
+                  onClick={() => onReply(msg)}
+                  sx={{ textTransform: 'none', color: theme.palette.text.secondary }}
+                >
+                  Reply
+                </Button>
+                {replyCount > 0 && (
+                  <Button
+                    size="small"
+                    onClick={() => onReply(msg)}
+                    sx={{ textTransform: 'none', fontWeight: 600 }}
+                  >
+                    {replyCount} {replyCount === 1 ? 'reply' : 'replies'}
+                  </Button>
+                )}
+              </Box>
+            )}
+          </>
+        }
+        secondaryTypographyProps={{ component: 'div' }}
+      />
+    </ListItem>
+  );
+};
+
+export default ChatMessage;
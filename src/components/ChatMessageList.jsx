@@ -0,0 +1,116 @@
+import React, { useRef, useLayoutEffect } from 'react';
+import { Box, CircularProgress } from '@mui/material';
+import { useVirtualizer } from '@tanstack/react-virtual';
+import { motion } from 'framer-motion';
+import { messageKey } from '../utils/chat';
+
+const LOAD_OLDER_THRESHOLD = 120;
+const BOTTOM_THRESHOLD = 150;
+
+// Virtualized, bottom-anchored message timeline. Only messages in `freshKeys`
+// (those that arrived after the history loaded) get an entrance animation.
+// `focusKey` scrolls a message (e.g. a search result) into the middle of the view.
+const ChatMessageList = ({
+  messages,
+  hasMore,
+  loadingOlder,
+  onLoadOlder,
+  freshKeys,
+  onAnimated,
+  renderMessage,
+  focusKey,
+  sx
+}) => {
+  const scrollRef = useRef(null);
+  const previousRef = useRef({ firstKey: null, lastKey: null, length: 0 });
+  const atBottomRef = useRef(true);
+  const focusedRef = useRef(null);
+
+  const virtualizer = useVirtualizer({
+    count: messages.length,
+    getScrollElement: () => scrollRef.current,
+    estimateSize: () => 96,
+    overscan: 8,
+    getItemKey: (index) => messageKey(messages[index]),
+  });
+
+  // Keep the viewport anchored: jump to the focused message once it is loaded,
+  // stay on the same message when older history is prepended, and follow new
+  // messages if the user was already at the bottom
+  useLayoutEffect(() => {
+    const previous = previousRef.current;
+    const firstKey = messages.length ? messageKey(messages[0]) : null;
+    const lastKey = messages.length ? messageKey(messages[messages.length - 1]) : null;
+    const focusIndex = focusKey && focusKey !== focusedRef.current
+      ? messages.findIndex((msg) => messageKey(msg) === focusKey)
+      : -1;
+
+    if (focusIndex !== -1) {
+      focusedRef.current = focusKey;
+      virtualizer.scrollToIndex(focusIndex, { align: 'center' });
+    } else if (messages.length > 0) {
+      if (previous.length === 0) {
+        virtualizer.scrollToIndex(messages.length - 1, { align: 'end' });
+      } else if (firstKey !== previous.firstKey) {
+        const anchorIndex = messages.findIndex((msg) => messageKey(msg) === previous.firstKey);
+        if (anchorIndex > 0) virtualizer.scrollToIndex(anchorIndex, { align: 'start' });
+      } else if (lastKey !== previous.lastKey && atBottomRef.current) {
+        virtualizer.scrollToIndex(messages.length - 1, { align: 'end', behavior: 'smooth' });
+      }
+    }
+
+    previousRef.current = { firstKey, lastKey, length: messages.length };
+  }, [messages, focusKey, virtualizer]);
+
+  const handleScroll = () => {
+    const el = scrollRef.current;
+    if (!el) return;
+    atBottomRef.current = el.scrollHeight - el.scrollTop - el.clientHeight < BOTTOM_THRESHOLD;
+    if (el.scrollTop < LOAD_OLDER_THRESHOLD && hasMore && !loadingOlder) {
+      onLoadOlder();
+    }
+  };
+
+  return (
+    <Box ref={scrollRef} onScroll={handleScroll} sx={{ overflowY: 'auto', ...sx }}>
+      {loadingOlder && (
+        <Box sx={{ position: 'sticky', top: 0, height: 0, zIndex: 1, display: 'flex', justifyContent: 'center' }}>
+          <CircularProgress size={24} sx={{ mt: 1 }} />
+        </Box>
+      )}
+      <Box role="list" sx={{ height: virtualizer.getTotalSize(), width: '100%', position: 'relative' }}>
+        {virtualizer.getVirtualItems().map((item) => {
+          const msg = messages[item.index];
+          const key = item.key;
+          return (
+            <div
+              key={key}
+              data-index={item.index}
+              ref={virtualizer.measureElement}
+              style={{
+                position: 'absolute',
+                top: 0,
+                left: 0,
+                width: '100%',
+                transform: `translateY(${item.start}px)`,
+              }}
+            >
+              {freshKeys.has(key) ? (
+                <motion.div
+                  initial={{ opacity: 0, x: -20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  transition={{ duration: 0.3 }}
+                  onAnimationComplete={() => onAnimated(key)}
+                >
+                  {renderMessage(msg)}
+                </motion.div>
+              ) : renderMessage(msg)}
+            </div>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+};
+
+export default ChatMessageList;
@@ -0,0 +1,111 @@
+import React from 'react';
+import { Box, Link, useTheme } from '@mui/material';
+import { auth } from '../firebase';
+import { parseBlocks, parseInline } from '../utils/formatting';
+
+// Renders a message's Markdown-lite text. Only names in `mentions` are
+// highlighted, so an "@word" that isn't a real mention stays plain text.
+const ChatMessageText = ({ text, mentions = [] }) => {
+  const theme = useTheme();
+  const mentionNames = mentions.map((mention) => mention.user);
+  const ownName = auth.currentUser?.displayName || auth.currentUser?.email;
+
+  const renderInline = (tokens) => tokens.map((token, index) => {
+    switch (token.type) {
+      case 'bold':
+        return <strong key={index}>{renderInline(token.children)}</strong>;
+      case 'italic':
+        return <em key={index}>{renderInline(token.children)}</em>;
+      case 'code':
+        return (
+          <Box
+            key={index}
+            component="code"
+            sx={{
+              fontFamily: 'monospace',
+              fontSize: '0.9em',
+              px: 0.5,
+              borderRadius: 1,
+              backgroundColor: theme.palette.action.hover,
+            }}
+          >
+            {token.value}
+          </Box>
+        );
+      case 'link':
+        return (
+          <Link key={index} href={token.value} target="_blank" rel="noopener noreferrer" sx={{ wordBreak: 'break-all' }}>
+            {token.value}
+          </Link>
+        );
+      case 'mention':
+        return (
+          <Box
+            key={index}
+            component="span"
+            sx={{
+              fontWeight: 600,
+              px: 0.5,
+              borderRadius: 1,
+              color: theme.palette.primary.main,
+              backgroundColor: token.value === ownName
+                ? `${theme.palette.warning.light}55`
+                : `${theme.palette.primary.light}33`,
+            }}
+          >
+            @{token.value}
+          </Box>
+        );
+      default:
+        return token.value;
+    }
+  });
+
+  const renderLine = (line) => renderInline(parseInline(line, mentionNames));
+
+  return parseBlocks(text).map((block, index) => {
+    if (block.type === 'code') {
+      return (
+        <Box
+          key={index}
+          component="pre"
+          sx={{
+            m: 0,
+            my: 0.5,
+            p: 1,
+            borderRadius: 1,
+            overflowX: 'auto',
+            fontFamily: 'monospace',
+            fontSize: '0.85em',
+            backgroundColor: theme.palette.action.hover,
+          }}
+        >
+          {block.text}
+        </Box>
+      );
+    }
+
+    if (block.type === 'list') {
+      return (
+        <Box key={index} component={block.ordered ? 'ol' : 'ul'} sx={{ m: 0, pl: 3 }}>
+          {block.items.map((item, itemIndex) => (
+            <li key={itemIndex}>{renderLine(item)}</li>
+          ))}
+        </Box>
+      );
+    }
+
+    return (
+      <Box key={index} component="p" sx={{ m: 0, '& + &': { mt: 1 } }}>
+        {block.lines.map((line, lineIndex) => (
+          <React.Fragment key={lineIndex}>
+            {lineIndex > 0 && <br />}
+            {renderLine(line)}
+          </React.Fragment>
+        ))}
+      </Box>
+    );
+  });
+};
+
+export default ChatMessageText;
@@ -0,0 +1,273 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Tab,
+  Tabs,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+import { useDispatch } from 'react-redux';
+import { updateRoom } from '../redux/chatSlice';
+import { fetchAuditLog, moderateMember, updateRoomSettings } from '../utils/api';
+
+const ACTION_LABELS = {
+  hide: 'Hid a message',
+  unhide: 'Restored a message',
+  mute: 'Muted',
+  unmute: 'Unmuted',
+  ban: 'Banned',
+  unban: 'Unbanned',
+  'word-filter': 'Updated the word filter',
+  announcement: 'Updated the announcement',
+  pin: 'Pinned a message',
+  unpin: 'Unpinned a message',
+};
+
+const ChatModeration = ({ room, open, initialTab = 'restrictions', onClose }) => {
+  const dispatch = useDispatch();
+  const [tab, setTab] = useState(initialTab);
+  const [auditLog, setAuditLog] = useState([]);
+  const [loadingLog, setLoadingLog] = useState(false);
+  const [newWord, setNewWord] = useState('');
+  const [announcement, setAnnouncement] = useState('');
+  const [error, setError] = useState('');
+
+  const muted = Object.entries(room?.muted || {})
+    .filter(([, entry]) => new Date(entry.until) > new Date());
+  const banned = room?.banned || [];
+  const blockedWords = room?.blockedWords || [];
+
+  // Start on the requested tab with the current announcement each time the dialog opens
+  useEffect(() => {
+    if (!open) return;
+    setTab(initialTab);
+    setAnnouncement(room?.announcement?.text || '');
+    setError('');
+  }, [open, initialTab, room?.announcement?.text]);
+
+  // Refresh the audit log each time its tab is opened
+  useEffect(() => {
+    if (!open || tab !== 'audit' || !room) return;
+    let cancelled = false;
+    setLoadingLog(true);
+    fetchAuditLog(room.id)
+      .then((data) => {
+        if (!cancelled) setAuditLog(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load audit log');
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingLog(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, tab, room]);
+
+  const liftRestriction = async (action, member) => {
+    try {
+      const updated = await moderateMember(room.id, {
+        action,
+        target: member,
+      });
+      dispatch(updateRoom(updated));
+    } catch (err) {
+      setError(err.message || 'Failed to update member');
+    }
+  };
+
+  const saveBlockedWords = async (words) => {
+    try {
+      const updated = await updateRoomSettings(room.id, {
+        blockedWords: words,
+      });
+      dispatch(updateRoom(updated));
+    } catch (err) {
+      setError(err.message || 'Failed to update word filter');
+    }
+  };
+
+  const saveAnnouncement = async (text) => {
+    // The server stamps who posted it and when
+    try {
+      const updated = await updateRoomSettings(room.id, {
+        announcement: text ? { text } : null,
+      });
+      dispatch(updateRoom(updated));
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to update announcement');
+    }
+  };
+
+  const handleAddWord = (e) => {
+    e.preventDefault();
+    const word = newWord.trim().toLowerCase();
+    if (!word || blockedWords.includes(word)) return;
+    saveBlockedWords([...blockedWords, word]);
+    setNewWord('');
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        Moderation — {room?.name}
+        <IconButton onClick={onClose} aria-label="Close moderation">
+          <Close />
+        </IconButton>
+      </DialogTitle>
+      <DialogContent>
+        {error && (
+          <Typography color="error" variant="body2" sx={{ mb: 1 }}>
+            {error}
+          </Typography>
+        )}
+        <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 2 }}>
+          <Tab value="restrictions" label="Restrictions" />
+          <Tab value="announcement" label="Announcement" />
+          <Tab value="words" label="Word Filter" />
+          <Tab value="audit" label="Audit Log" />
+        </Tabs>
+
+        {tab === 'restrictions' && (
+          <Box>
+            <Typography variant="subtitle2">Muted</Typography>
+            {muted.length === 0 ? (
+              <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2 }}>Nobody is muted</Typography>
+            ) : (
+              <List dense>
+                {muted.map(([uid, entry]) => (
+                  <ListItem
+                    key={uid}
+                    secondaryAction={
+                      <Button size="small" onClick={() => liftRestriction('unmute', { uid, user: entry.user })}>
+                        Unmute
+                      </Button>
+                    }
+                  >
+                    <ListItemText
+                      primary={entry.user}
+                      secondary={`Until ${new Date(entry.until).toLocaleString()}`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+
+            <Typography variant="subtitle2">Banned</Typography>
+            {banned.length === 0 ? (
+              <Typography variant="body2" sx={{ color: 'text.secondary' }}>Nobody is banned</Typography>
+            ) : (
+              <List dense>
+                {banned.map((member) => (
+                  <ListItem
+                    key={member.uid}
+                    secondaryAction={
+                      <Button size="small" onClick={() => liftRestriction('unban', member)}>
+                        Unban
+                      </Button>
+                    }
+                  >
+                    <ListItemText primary={member.user} />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Box>
+        )}
+
+        {tab === 'announcement' && (
+          <Box>
+            <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2 }}>
+              Shown as a banner at the top of the room. Formatting and links work as in messages.
+            </Typography>
+            <TextField
+              fullWidth
+              multiline
+              minRows={3}
+              label="Announcement"
+              value={announcement}
+              onChange={(e) => setAnnouncement(e.target.value)}
+            />
+            <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 2 }}>
+              {room?.announcement?.text && (
+                <Button color="error" onClick={() => saveAnnouncement(null)}>
+                  Remove
+                </Button>
+              )}
+              <Button variant="contained" onClick={() => saveAnnouncement(announcement.trim())} disabled={!announcement.trim()}>
+                Post
+              </Button>
+            </Box>
+          </Box>
+        )}
+
+        {tab === 'words' && (
+          <Box>
+            <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2 }}>
+              These words are masked before messages in this room are sent, in addition to the default list.
+            </Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+              {blockedWords.map((word) => (
+                <Chip
+                  key={word}
+                  label={word}
+                  onDelete={() => saveBlockedWords(blockedWords.filter((w) => w !== word))}
+                />
+              ))}
+            </Box>
+            <Box component="form" onSubmit={handleAddWord} sx={{ display: 'flex', gap: 1 }}>
+              <TextField
+                size="small"
+                fullWidth
+                label="Add a word"
+                value={newWord}
+                onChange={(e) => setNewWord(e.target.value)}
+              />
+              <Button type="submit" variant="contained">Add</Button>
+            </Box>
+          </Box>
+        )}
+
+        {tab === 'audit' && (
+          loadingLog ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', my: 3 }}>
+              <CircularProgress size={32} />
+            </Box>
+          ) : auditLog.length === 0 ? (
+            <Typography variant="body2" sx={{ color: 'text.secondary' }}>No moderator actions yet</Typography>
+          ) : (
+            <List dense>
+              {auditLog.map((entry) => (
+                <ListItem key={entry._id} divider>
+                  <ListItemText
+                    primary={`${entry.moderator?.user || 'A moderator'}: ${ACTION_LABELS[entry.action] || entry.action}${entry.target?.user ? ` ${entry.target.user}` : ''}`}
+                    secondary={[
+                      new Date(entry.createdAt).toLocaleString(),
+                      entry.reason,
+                    ].filter(Boolean).join(' · ')}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ChatModeration;
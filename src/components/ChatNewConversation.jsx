@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Autocomplete,
+  Avatar,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Typography
+} from '@mui/material';
+import { collection, getDocs, limit, orderBy, query } from 'firebase/firestore';
+import { auth, db } from '../firebase';
+import useStartConversation, { MAX_CONVERSATION_MEMBERS } from '../hooks/useStartConversation';
+
+const ChatNewConversation = ({ open, onClose }) => {
+  const startConversation = useStartConversation();
+  const [people, setPeople] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Load member profiles when the dialog opens
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+
+    const loadPeople = async () => {
+      setLoading(true);
+      try {
+        const q = query(collection(db, 'users'), orderBy('displayName'), limit(200));
+        const snapshot = await getDocs(q);
+        if (cancelled) return;
+        setPeople(snapshot.docs
+          .filter((doc) => doc.id !== auth.currentUser?.uid)
+          .map((doc) => ({
+            uid: doc.id,
+            user: doc.data().displayName || doc.data().email,
+            photoURL: doc.data().photoURL || '',
+          })));
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadPeople();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open]);
+
+  const handleClose = () => {
+    setSelected([]);
+    setError('');
+    onClose();
+  };
+
+  const handleStart = async () => {
+    setStarting(true);
+    try {
+      await startConversation(selected);
+      handleClose();
+    } catch (err) {
+      setError(err.message || 'Failed to start conversation');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="xs">
+      <DialogTitle>New Message</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Typography color="error" variant="body2" sx={{ mb: 1 }}>
+            {error}
+          </Typography>
+        )}
+        <Autocomplete
+          multiple
+          options={people}
+          loading={loading}
+          value={selected}
+          onChange={(e, value) => setSelected(value.slice(0, MAX_CONVERSATION_MEMBERS - 1))}
+          getOptionLabel={(option) => option.user}
+          isOptionEqualToValue={(option, value) => option.uid === value.uid}
+          renderOption={(props, option) => (
+            <Box component="li" {...props} key={option.uid} sx={{ display: 'flex', gap: 1.5 }}>
+              <Avatar src={option.photoURL} sx={{ width: 28, height: 28 }} />
+              {option.user}
+            </Box>
+          )}
+          renderInput={(params) => (
+            <TextField {...params} label="To" margin="normal" placeholder="Search members" />
+          )}
+        />
+        <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+          Up to {MAX_CONVERSATION_MEMBERS - 1} people
+        </Typography>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleStart} disabled={starting || selected.length === 0}>
+          {starting ? 'Starting...' : 'Start'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ChatNewConversation;
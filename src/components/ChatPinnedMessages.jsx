@@ -0,0 +1,87 @@
+import React from 'react';
+import {
+  Avatar,
+  Box,
+  Drawer,
+  IconButton,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemButton,
+  ListItemText,
+  Tooltip,
+  Typography,
+  useTheme
+} from '@mui/material';
+import { Close, PushPin } from '@mui/icons-material';
+import ChatMessageText from './ChatMessageText';
+
+// Drawer listing a room's pinned messages. `onUnpin` is only passed for moderators.
+const ChatPinnedMessages = ({ open, pins, onClose, onSelect, onUnpin }) => {
+  const theme = useTheme();
+
+  // Pins outlive their message, so hidden and deleted ones show the same
+  // placeholder as the timeline; only moderators still see hidden text
+  const pinText = (msg) => {
+    if (msg.deleted || (msg.hidden && !onUnpin)) {
+      return (
+        <Typography variant="body2" component="span" sx={{ fontStyle: 'italic' }}>
+          {msg.deleted ? 'This message was deleted' : 'Hidden by a moderator'}
+        </Typography>
+      );
+    }
+    return <ChatMessageText text={msg.text} mentions={msg.mentions} />;
+  };
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '90vw', sm: 360 }, p: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+          <Typography variant="h6" sx={{ fontWeight: 700 }}>
+            Pinned Messages
+          </Typography>
+          <IconButton onClick={onClose} aria-label="Close pinned messages">
+            <Close />
+          </IconButton>
+        </Box>
+
+        {pins.length === 0 ? (
+          <Typography variant="body2" sx={{ color: theme.palette.text.secondary, textAlign: 'center', mt: 3 }}>
+            Nothing has been pinned in this room yet
+          </Typography>
+        ) : (
+          <List disablePadding>
+            {pins.map((msg) => (
+              <ListItem
+                key={msg._id}
+                disablePadding
+                secondaryAction={onUnpin && (
+                  <Tooltip title="Unpin">
+                    <IconButton edge="end" onClick={() => onUnpin(msg)} aria-label="Unpin message">
+                      <PushPin sx={{ transform: 'rotate(45deg)' }} />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                sx={{ mb: 1, border: `1px solid ${theme.palette.divider}`, borderRadius: 2 }}
+              >
+                <ListItemButton onClick={() => onSelect(msg)} sx={{ alignItems: 'flex-start', borderRadius: 2 }}>
+                  <ListItemAvatar sx={{ minWidth: 44 }}>
+                    <Avatar src={msg.photoURL} sx={{ width: 32, height: 32 }} />
+                  </ListItemAvatar>
+                  <ListItemText
+                    primary={msg.user}
+                    primaryTypographyProps={{ fontWeight: 600, variant: 'body2' }}
+                    secondary={pinText(msg)}
+                    secondaryTypographyProps={{ component: 'div', sx: { maxHeight: 120, overflow: 'hidden' } }}
+                  />
+                </ListItemButton>
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default ChatPinnedMessages;
@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  ButtonBase,
+  Checkbox,
+  LinearProgress,
+  Radio,
+  Tooltip,
+  Typography,
+  useTheme
+} from '@mui/material';
+import { Poll as PollIcon } from '@mui/icons-material';
+import { auth } from '../firebase';
+import { countOptionVotes, countVoters, getVotedOptionIds, isPollClosed } from '../utils/polls';
+
+const closingLabel = (closesAt) => {
+  const minutes = Math.round((new Date(closesAt) - new Date()) / 60000);
+  if (minutes < 60) return `Closes in ${Math.max(minutes, 1)} min`;
+  if (minutes < 24 * 60) return `Closes in ${Math.round(minutes / 60)} h`;
+  return `Closes ${new Date(closesAt).toLocaleDateString()}`;
+};
+
+// Poll body of a chat message with live result bars. `onVote(optionIds)` is
+// omitted while the message is still being sent; `onClose` is only passed to
+// the author and moderators.
+const ChatPoll = ({ poll, onVote, onClose }) => {
+  const theme = useTheme();
+  const uid = auth.currentUser?.uid;
+  const voted = getVotedOptionIds(poll, uid);
+  const total = countVoters(poll);
+  const [now, setNow] = useState(Date.now());
+  const closed = isPollClosed(poll);
+
+  // Re-render when the close time passes so voting switches off on time. Long
+  // waits are split into hour-long timers, each re-armed by the render it causes.
+  useEffect(() => {
+    if (!poll.closesAt || closed) return;
+    const delay = new Date(poll.closesAt) - new Date();
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(Math.max(delay, 0) + 500, 60 * 60 * 1000));
+    return () => clearTimeout(timer);
+  }, [poll.closesAt, closed, now]);
+
+  const canVote = Boolean(onVote) && !closed;
+
+  const toggleOption = (optionId) => {
+    if (!canVote) return;
+    if (poll.multiple) {
+      onVote(voted.includes(optionId) ? voted.filter((id) => id !== optionId) : [...voted, optionId]);
+    } else {
+      onVote(voted.includes(optionId) ? [] : [optionId]);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        p: 1.5,
+        borderRadius: 3,
+        border: `1px solid ${theme.palette.divider}`,
+        backgroundColor: theme.palette.background.paper,
+        maxWidth: 420,
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <PollIcon sx={{ color: theme.palette.primary.main }} />
+        <Typography variant="subtitle1" sx={{ fontWeight: 700, wordBreak: 'break-word' }}>
+          {poll.question}
+        </Typography>
+      </Box>
+
+      {poll.options.map((option) => {
+        const count = countOptionVotes(option);
+        const percent = total ? Math.round((count / total) * 100) : 0;
+        const selected = voted.includes(option.id);
+        const voterNames = option.voters ? option.voters.map((voter) => voter.user).join(', ') : '';
+        const Control = poll.multiple ? Checkbox : Radio;
+
+        return (
+          <Tooltip key={option.id} title={voterNames} placement="left" disableHoverListener={!voterNames}>
+            <ButtonBase
+              onClick={() => toggleOption(option.id)}
+              disabled={!canVote}
+              sx={{ display: 'block', width: '100%', textAlign: 'left', borderRadius: 2, px: 0.5, py: 0.5 }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                {canVote && <Control size="small" checked={selected} tabIndex={-1} sx={{ p: 0.5 }} />}
+                <Typography variant="body2" sx={{ flex: 1, fontWeight: selected ? 700 : 400 }}>
+                  {option.text}
+                </Typography>
+                <Typography variant="caption" sx={{ color: theme.palette.text.secondary }}>
+                  {count} · {percent}%
+                </Typography>
+              </Box>
+              <LinearProgress
+                variant="determinate"
+                value={percent}
+                color={selected ? 'primary' : 'inherit'}
+                sx={{ height: 6, borderRadius: 3, mt: 0.5, color: theme.palette.action.disabled }}
+              />
+            </ButtonBase>
+          </Tooltip>
+        );
+      })}
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+        <Typography variant="caption" sx={{ color: theme.palette.text.secondary, flex: 1 }}>
+          {total} {total === 1 ? 'vote' : 'votes'}
+          {poll.multiple && ' · Multiple choice'}
+          {poll.anonymous && ' · Anonymous'}
+          {closed ? ' · Closed' : poll.closesAt ? ` · ${closingLabel(poll.closesAt)}` : ''}
+        </Typography>
+        {onClose && !closed && (
+          <Button size="small" onClick={onClose} sx={{ textTransform: 'none' }}>
+            Close poll
+          </Button>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default ChatPoll;
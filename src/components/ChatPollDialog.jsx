@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  IconButton,
+  MenuItem,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Add, Close } from '@mui/icons-material';
+import { MAX_POLL_OPTIONS, MIN_POLL_OPTIONS, createPoll } from '../utils/polls';
+
+const DURATIONS = [
+  { value: 'none', label: 'No end time' },
+  { value: '60', label: '1 hour' },
+  { value: '1440', label: '1 day' },
+  { value: '10080', label: '1 week' },
+  { value: 'custom', label: 'Pick a date and time' },
+];
+
+const emptyOptions = () => Array(MIN_POLL_OPTIONS).fill('');
+
+// `onCreate(poll)` receives a poll built with createPoll
+const ChatPollDialog = ({ open, onClose, onCreate }) => {
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(emptyOptions);
+  const [multiple, setMultiple] = useState(false);
+  const [anonymous, setAnonymous] = useState(false);
+  const [duration, setDuration] = useState('none');
+  const [closesAt, setClosesAt] = useState('');
+  const [error, setError] = useState('');
+
+  const handleClose = () => {
+    setQuestion('');
+    setOptions(emptyOptions());
+    setMultiple(false);
+    setAnonymous(false);
+    setDuration('none');
+    setClosesAt('');
+    setError('');
+    onClose();
+  };
+
+  const updateOption = (index, text) => {
+    setOptions(prev => prev.map((option, i) => (i === index ? text : option)));
+  };
+
+  const handleCreate = () => {
+    try {
+      let closeTime = null;
+      if (duration === 'custom') {
+        if (!closesAt || new Date(closesAt) <= new Date()) throw new Error('Pick a closing time in the future');
+        closeTime = new Date(closesAt).toISOString();
+      } else if (duration !== 'none') {
+        closeTime = new Date(Date.now() + Number(duration) * 60000).toISOString();
+      }
+
+      onCreate(createPoll({ question, options, multiple, anonymous, closesAt: closeTime }));
+      handleClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="xs">
+      <DialogTitle>Create Poll</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Typography color="error" variant="body2" sx={{ mb: 1 }}>
+            {error}
+          </Typography>
+        )}
+        <TextField
+          autoFocus
+          fullWidth
+          label="Question"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          margin="normal"
+        />
+        {options.map((option, index) => (
+          <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <TextField
+              fullWidth
+              size="small"
+              label={`Option ${index + 1}`}
+              value={option}
+              onChange={(e) => updateOption(index, e.target.value)}
+              margin="dense"
+            />
+            {options.length > MIN_POLL_OPTIONS && (
+              <IconButton
+                onClick={() => setOptions(prev => prev.filter((_, i) => i !== index))}
+                aria-label={`Remove option ${index + 1}`}
+              >
+                <Close fontSize="small" />
+              </IconButton>
+            )}
+          </Box>
+        ))}
+        {options.length < MAX_POLL_OPTIONS && (
+          <Button startIcon={<Add />} onClick={() => setOptions(prev => [...prev, ''])} sx={{ mt: 1 }}>
+            Add option
+          </Button>
+        )}
+
+        <Box sx={{ display: 'flex', flexDirection: 'column', mt: 1 }}>
+          <FormControlLabel
+            control={<Checkbox checked={multiple} onChange={(e) => setMultiple(e.target.checked)} />}
+            label="Allow multiple choices"
+          />
+          <FormControlLabel
+            control={<Checkbox checked={anonymous} onChange={(e) => setAnonymous(e.target.checked)} />}
+            label="Anonymous votes"
+          />
+        </Box>
+
+        <TextField
+          select
+          fullWidth
+          size="small"
+          label="Closes"
+          value={duration}
+          onChange={(e) => setDuration(e.target.value)}
+          margin="normal"
+        >
+          {DURATIONS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+        {duration === 'custom' && (
+          <TextField
+            fullWidth
+            size="small"
+            type="datetime-local"
+            label="Closing time"
+            value={closesAt}
+            onChange={(e) => setClosesAt(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleCreate}>
+          Post Poll
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ChatPollDialog;
@@ -0,0 +1,59 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Badge,
+  useTheme
+} from '@mui/material';
+
+const ChatPresence = ({ members }) => {
+  const theme = useTheme();
+  const statusColor = {
+    online: theme.palette.success.main,
+    away: theme.palette.warning.main,
+  };
+  const sorted = [...members].sort((a, b) => (
+    a.status === b.status ? a.user.localeCompare(b.user) : a.status === 'online' ? -1 : 1
+  ));
+
+  return (
+    <Box>
+      <Typography variant="overline" sx={{ color: theme.palette.text.secondary, px: 1 }}>
+        Online — {members.filter((m) => m.status === 'online').length}
+      </Typography>
+      <List dense disablePadding>
+        {sorted.map((member) => (
+          <ListItem key={member.id} sx={{ px: 1 }}>
+            <ListItemAvatar sx={{ minWidth: 40 }}>
+              <Badge
+                overlap="circular"
+                variant="dot"
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+                sx={{
+                  '& .MuiBadge-badge': {
+                    backgroundColor: statusColor[member.status],
+                    boxShadow: `0 0 0 2px ${theme.palette.background.paper}`,
+                  },
+                }}
+              >
+                <Avatar src={member.photoURL} sx={{ width: 28, height: 28 }} />
+              </Badge>
+            </ListItemAvatar>
+            <ListItemText
+              primary={member.user}
+              secondary={member.status === 'away' ? 'Away' : null}
+              primaryTypographyProps={{ noWrap: true }}
+            />
+          </ListItem>
+        ))}
+      </List>
+    </Box>
+  );
+};
+
+export default ChatPresence;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Box, Chip, IconButton, Popover, Tooltip, useTheme } from '@mui/material';
+import { AddReactionOutlined } from '@mui/icons-material';
+import { auth } from '../firebase';
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '🙌', '🌱'];
+
+const ChatReactions = ({ reactions = {}, onToggle }) => {
+  const theme = useTheme();
+  const [pickerAnchor, setPickerAnchor] = useState(null);
+  const uid = auth.currentUser?.uid;
+  const entries = Object.entries(reactions).filter(([, users]) => users.length > 0);
+
+  const handlePick = (emoji) => {
+    setPickerAnchor(null);
+    onToggle(emoji);
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+      {entries.map(([emoji, users]) => {
+        const reacted = users.some((u) => u.uid === uid);
+        return (
+          <Tooltip key={emoji} title={users.map((u) => u.user).join(', ')} arrow>
+            <Chip
+              label={`${emoji} ${users.length}`}
+              size="small"
+              onClick={() => onToggle(emoji)}
+              variant={reacted ? 'filled' : 'outlined'}
+              color={reacted ? 'primary' : 'default'}
+              sx={{ fontWeight: 600 }}
+            />
+          </Tooltip>
+        );
+      })}
+
+      <Tooltip title="Add reaction">
+        <IconButton
+          size="small"
+          onClick={(e) => setPickerAnchor(e.currentTarget)}
+          sx={{ color: theme.palette.text.secondary }}
+          aria-label="Add reaction"
+        >
+          <AddReactionOutlined fontSize="small" />
+        </IconButton>
+      </Tooltip>
+
+      <Popover
+        open={Boolean(pickerAnchor)}
+        anchorEl={pickerAnchor}
+        onClose={() => setPickerAnchor(null)}
+        anchorOrigin={{ vertical: 'top', horizontal: 'left' }}
+        transformOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      >
+        <Box sx={{ display: 'flex', p: 0.5 }}>
+          {QUICK_REACTIONS.map((emoji) => (
+            <IconButton key={emoji} onClick={() => handlePick(emoji)} sx={{ fontSize: '1.25rem' }}>
+              {emoji}
+            </IconButton>
+          ))}
+        </Box>
+      </Popover>
+    </Box>
+  );
+};
+
+export default ChatReactions;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Radio,
+  RadioGroup,
+  TextField,
+  Typography
+} from '@mui/material';
+
+const REASONS = ['Spam', 'Harassment or hate', 'Misinformation', 'Inappropriate content', 'Other'];
+
+const ChatReportDialog = ({ message, onSubmit, onClose }) => {
+  const [reason, setReason] = useState(REASONS[0]);
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      await onSubmit(message, { reason, details: details.trim() });
+      setDetails('');
+      setReason(REASONS[0]);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(message)} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>Report Message</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2, fontStyle: 'italic' }}>
+            “{message.text}” — {message.user}
+          </Typography>
+        )}
+        <RadioGroup value={reason} onChange={(e) => setReason(e.target.value)}>
+          {REASONS.map((option) => (
+            <FormControlLabel key={option} value={option} control={<Radio size="small" />} label={option} />
+          ))}
+        </RadioGroup>
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          label="Details (optional)"
+          value={details}
+          onChange={(e) => setDetails(e.target.value)}
+          margin="normal"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" color="error" onClick={handleSubmit} disabled={submitting}>
+          {submitting ? 'Reporting...' : 'Report'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ChatReportDialog;
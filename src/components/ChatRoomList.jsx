@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItemButton,
+  ListItemText,
+  Avatar,
+  AvatarGroup,
+  Badge,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  IconButton,
+  useTheme
+} from '@mui/material';
+import { Add, Tag, Edit } from '@mui/icons-material';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { auth } from '../firebase';
+import { addRoom, getRoomTitle } from '../redux/chatSlice';
+import { createRoom } from '../utils/api';
+import ChatNewConversation from './ChatNewConversation';
+
+const ChatRoomList = ({ activeRoomId, onSelect }) => {
+  const theme = useTheme();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const rooms = useSelector((state) => state.chat.rooms);
+  const unread = useSelector((state) => state.chat.unread);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+  const [conversationOpen, setConversationOpen] = useState(false);
+  const uid = auth.currentUser?.uid;
+
+  const publicRooms = rooms.filter((room) => room.type === 'public');
+  const customRooms = rooms.filter((room) => room.type === 'custom');
+  const conversations = rooms.filter((room) => room.type === 'dm');
+
+  const handleSelect = (roomId) => {
+    navigate(`/chat/${roomId}`);
+    if (onSelect) onSelect(roomId);
+  };
+
+  const handleCloseDialog = () => {
+    setDialogOpen(false);
+    setName('');
+    setDescription('');
+    setError('');
+  };
+
+  const handleCreateRoom = async () => {
+    if (!name.trim()) {
+      setError('Please enter a room name');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const room = await createRoom({ name: name.trim(), description: description.trim() });
+      dispatch(addRoom(room));
+      handleCloseDialog();
+      handleSelect(room.id || room._id);
+    } catch (err) {
+      setError(err.message || 'Failed to create room');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const renderRooms = (list) => (
+    <List dense disablePadding>
+      {list.map((room) => (
+        <ListItemButton
+          key={room.id}
+          selected={room.id === activeRoomId}
+          onClick={() => handleSelect(room.id)}
+          sx={{ borderRadius: 2, mb: 0.5 }}
+        >
+          {room.type === 'dm' ? (
+            <AvatarGroup max={2} sx={{ mr: 1, '& .MuiAvatar-root': { width: 24, height: 24, fontSize: '0.75rem' } }}>
+              {(room.members || [])
+                .filter((member) => member.uid !== uid)
+                .map((member) => (
+                  <Avatar key={member.uid} src={member.photoURL} alt={member.user} />
+                ))}
+            </AvatarGroup>
+          ) : (
+            <Tag fontSize="small" sx={{ mr: 1, color: theme.palette.text.secondary }} />
+          )}
+          <ListItemText
+            primary={getRoomTitle(room, uid)}
+            primaryTypographyProps={{
+              noWrap: true,
+              fontWeight: unread[room.id] ? 700 : 500,
+            }}
+          />
+          <Badge badgeContent={unread[room.id] || 0} color="secondary" max={99} sx={{ mr: 1 }} />
+        </ListItemButton>
+      ))}
+    </List>
+  );
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', flex: 1, minHeight: 0, overflowY: 'auto' }}>
+      <Typography variant="overline" sx={{ color: theme.palette.text.secondary, px: 1 }}>
+        Causes
+      </Typography>
+      {renderRooms(publicRooms)}
+
+      <Typography variant="overline" sx={{ color: theme.palette.text.secondary, px: 1, mt: 2 }}>
+        Rooms
+      </Typography>
+      {customRooms.length > 0 ? renderRooms(customRooms) : (
+        <Typography variant="body2" sx={{ color: theme.palette.text.secondary, px: 1, fontStyle: 'italic' }}>
+          No rooms yet
+        </Typography>
+      )}
+
+      <Button
+        startIcon={<Add />}
+        onClick={() => setDialogOpen(true)}
+        sx={{ mt: 2, borderRadius: 2, justifyContent: 'flex-start' }}
+      >
+        New Room
+      </Button>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mt: 2 }}>
+        <Typography variant="overline" sx={{ color: theme.palette.text.secondary, px: 1 }}>
+          Direct Messages
+        </Typography>
+        <IconButton size="small" onClick={() => setConversationOpen(true)} aria-label="New message">
+          <Edit fontSize="small" />
+        </IconButton>
+      </Box>
+      {conversations.length > 0 ? renderRooms(conversations) : (
+        <Typography variant="body2" sx={{ color: theme.palette.text.secondary, px: 1, fontStyle: 'italic' }}>
+          No conversations yet
+        </Typography>
+      )}
+
+      <ChatNewConversation open={conversationOpen} onClose={() => setConversationOpen(false)} />
+
+      <Dialog open={dialogOpen} onClose={handleCloseDialog} fullWidth maxWidth="xs">
+        <DialogTitle>Create a Room</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Typography color="error" variant="body2" sx={{ mb: 1 }}>
+              {error}
+            </Typography>
+          )}
+          <TextField
+            autoFocus
+            fullWidth
+            label="Room name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            margin="normal"
+          />
+          <TextField
+            fullWidth
+            label="Description"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            margin="normal"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreateRoom} disabled={creating}>
+            {creating ? 'Creating...' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ChatRoomList;
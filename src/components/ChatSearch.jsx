@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  CircularProgress,
+  Drawer,
+  IconButton,
+  List,
+  ListItemButton,
+  MenuItem,
+  TextField,
+  Typography,
+  useTheme
+} from '@mui/material';
+import { Close, Search } from '@mui/icons-material';
+import { useSelector } from 'react-redux';
+import { auth } from '../firebase';
+import { getRoomTitle } from '../redux/chatSlice';
+import { searchMessages } from '../utils/api';
+import { escapeRegExp } from '../utils/formatting';
+
+const SEARCH_DELAY = 300;
+
+// Message text with the search terms highlighted
+const Highlighted = ({ text, query }) => {
+  const theme = useTheme();
+  const terms = query.trim().split(/\s+/).filter(Boolean);
+  if (!terms.length) return text;
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text.split(pattern).map((part, index) => (
+    index % 2 === 1
+      ? <Box key={index} component="mark" sx={{ backgroundColor: `${theme.palette.warning.light}88`, color: 'inherit', borderRadius: 0.5 }}>{part}</Box>
+      : part
+  ));
+};
+
+const ContextLine = ({ message }) => (
+  <Typography variant="caption" component="div" noWrap sx={{ color: 'text.secondary', pl: 1.5 }}>
+    {message.user}: {message.text}
+  </Typography>
+);
+
+// Search panel for the Community Hub. `onJump(result)` opens the result in
+// the timeline.
+const ChatSearch = ({ open, onClose, activeRoomId, onJump }) => {
+  const theme = useTheme();
+  const rooms = useSelector((state) => state.chat.rooms);
+  const [query, setQuery] = useState('');
+  const [author, setAuthor] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [scope, setScope] = useState('all');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState('');
+  const uid = auth.currentUser?.uid;
+
+  const hasCriteria = Boolean(query.trim() || author.trim());
+
+  // Search as the user types, after a short pause
+  useEffect(() => {
+    if (!open || !hasCriteria) {
+      setResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      setError('');
+      try {
+        const data = await searchMessages({
+          q: query.trim() || undefined,
+          author: author.trim() || undefined,
+          from: from || undefined,
+          to: to || undefined,
+          roomId: scope === 'room' ? activeRoomId : undefined,
+        });
+        if (!cancelled) setResults(data);
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Search failed');
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [open, hasCriteria, query, author, from, to, scope, activeRoomId]);
+
+  const roomName = (roomId) => {
+    const room = rooms.find((r) => r.id === roomId);
+    return room ? getRoomTitle(room, uid) : roomId;
+  };
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '90vw', sm: 380 }, p: 2, display: 'flex', flexDirection: 'column', height: '100%' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+          <Typography variant="h6" sx={{ fontWeight: 700 }}>
+            Search Messages
+          </Typography>
+          <IconButton onClick={onClose} aria-label="Close search">
+            <Close />
+          </IconButton>
+        </Box>
+
+        <TextField
+          autoFocus
+          fullWidth
+          size="small"
+          placeholder="Search messages"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          InputProps={{ startAdornment: <Search sx={{ mr: 1, color: 'text.secondary' }} /> }}
+        />
+        <Box sx={{ display: 'flex', gap: 1, mt: 1.5 }}>
+          <TextField
+            size="small"
+            label="Author"
+            value={author}
+            onChange={(e) => setAuthor(e.target.value)}
+            sx={{ flex: 1 }}
+          />
+          <TextField
+            select
+            size="small"
+            label="In"
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+            sx={{ width: 140 }}
+          >
+            <MenuItem value="all">All rooms</MenuItem>
+            <MenuItem value="room">This room</MenuItem>
+          </TextField>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1, mt: 1.5 }}>
+          <TextField
+            size="small"
+            type="date"
+            label="From"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            sx={{ flex: 1 }}
+          />
+          <TextField
+            size="small"
+            type="date"
+            label="To"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            sx={{ flex: 1 }}
+          />
+        </Box>
+
+        <Box sx={{ flex: 1, overflowY: 'auto', mt: 2 }}>
+          {searching ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+              <CircularProgress size={28} />
+            </Box>
+          ) : error ? (
+            <Typography color="error" variant="body2">{error}</Typography>
+          ) : !hasCriteria ? (
+            <Typography variant="body2" sx={{ color: theme.palette.text.secondary, textAlign: 'center', mt: 3 }}>
+              Search by words or author
+            </Typography>
+          ) : results.length === 0 ? (
+            <Typography variant="body2" sx={{ color: theme.palette.text.secondary, textAlign: 'center', mt: 3 }}>
+              No messages found
+            </Typography>
+          ) : (
+            <List disablePadding>
+              {results.map((result) => (
+                <ListItemButton
+                  key={result._id}
+                  onClick={() => onJump(result)}
+                  sx={{ display: 'block', borderRadius: 2, mb: 1, border: `1px solid ${theme.palette.divider}` }}
+                >
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 1 }}>
+                    <Typography variant="caption" sx={{ color: theme.palette.primary.main, fontWeight: 600 }} noWrap>
+                      {roomName(result.roomId)}{result.parentId ? ' · thread' : ''}
+                    </Typography>
+                    {result.createdAt && (
+                      <Typography variant="caption" sx={{ color: theme.palette.text.secondary, flexShrink: 0 }}>
+                        {new Date(result.createdAt).toLocaleDateString()}
+                      </Typography>
+                    )}
+                  </Box>
+                  {result.context?.before && <ContextLine message={result.context.before} />}
+                  <Typography variant="body2" sx={{ my: 0.5 }}>
+                    <strong>{result.user}:</strong> <Highlighted text={result.text} query={query} />
+                  </Typography>
+                  {result.context?.after && <ContextLine message={result.context.after} />}
+                </ListItemButton>
+              ))}
+            </List>
+          )}
+        </Box>
+      </Box>
+    </Drawer>
+  );
+};
+
+export default ChatSearch;
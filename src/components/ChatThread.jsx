@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  Divider,
+  IconButton,
+  CircularProgress,
+  useTheme
+} from '@mui/material';
+import { Close, Send } from '@mui/icons-material';
+import ChatMessage from './ChatMessage';
+import ChatUploadTray, { ChatAttachButton } from './ChatUploadTray';
+import ChatComposerField from './ChatComposerField';
+import useAttachmentUploads from '../hooks/useAttachmentUploads';
+import { messageKey } from '../utils/chat';
+
+const ChatThread = ({
+  parent,
+  replies,
+  loading,
+  onSend,
+  onEdit,
+  onDelete,
+  onReact,
+  onRetry,
+  onReport,
+  moderation,
+  composerDisabled,
+  onUploadError,
+  mentionCandidates = [],
+  parentPinned,
+  onClose
+}) => {
+  const theme = useTheme();
+  const [reply, setReply] = useState('');
+  const repliesEndRef = useRef(null);
+  const { uploads, attachments, uploading, addFiles, removeUpload, clearUploads } = useAttachmentUploads({
+    onError: onUploadError,
+  });
+
+  // Keep the newest reply in view
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [replies]);
+
+  const handleSubmit = (e) => {
+    if (e) e.preventDefault();
+    if ((!reply.trim() && attachments.length === 0) || uploading || composerDisabled) return;
+    onSend(reply, attachments);
+    setReply('');
+    clearUploads();
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSubmit();
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100%', minWidth: 0 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="h6" sx={{ fontWeight: 700 }}>
+          Thread
+        </Typography>
+        <IconButton onClick={onClose} aria-label="Close thread">
+          <Close />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ flex: 1, overflowY: 'auto', mb: 2 }}>
+        <List disablePadding>
+          <ChatMessage
+            message={parent}
+            pinned={parentPinned}
+            onEdit={onEdit}
+            onDelete={onDelete}
+            onReact={onReact}
+            onReport={onReport}
+            moderation={moderation}
+          />
+        </List>
+        <Divider textAlign="left" sx={{ my: 1 }}>
+          <Typography variant="caption" sx={{ color: theme.palette.text.secondary }}>
+            {replies.length} {replies.length === 1 ? 'reply' : 'replies'}
+          </Typography>
+        </Divider>
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : (
+          <List disablePadding>
+            {replies.map((msg, index) => (
+              <ChatMessage
+                key={messageKey(msg) || index}
+                message={msg}
+                onEdit={onEdit}
+                onDelete={onDelete}
+                onReact={onReact}
+                onRetry={onRetry}
+                onReport={onReport}
+                moderation={moderation}
+              />
+            ))}
+            <div ref={repliesEndRef} />
+          </List>
+        )}
+      </Box>
+
+      {/* Reply Input */}
+      <form onSubmit={handleSubmit}>
+        <ChatUploadTray uploads={uploads} onRemove={removeUpload} />
+        <Box sx={{
+          display: 'flex',
+          gap: 1,
+          alignItems: 'center',
+          borderRadius: 3,
+          padding: 1,
+          boxShadow: theme.shadows[2],
+        }}>
+          <ChatAttachButton onFiles={addFiles} disabled={composerDisabled} />
+          <ChatComposerField
+            candidates={mentionCandidates}
+            fullWidth
+            size="small"
+            placeholder={composerDisabled ? 'You are muted in this room' : 'Reply in thread...'}
+            disabled={composerDisabled}
+            value={reply}
+            onChange={setReply}
+            multiline
+            maxRows={4}
+            onKeyPress={handleKeyPress}
+          />
+          <IconButton type="submit" color="primary" aria-label="Send reply" disabled={composerDisabled || uploading}>
+            <Send />
+          </IconButton>
+        </Box>
+      </form>
+    </Box>
+  );
+};
+
+export default ChatThread;
@@ -0,0 +1,59 @@
+import React, { useRef } from 'react';
+import { Box, Chip, IconButton, LinearProgress, Tooltip } from '@mui/material';
+import { AttachFile, Image, PictureAsPdf } from '@mui/icons-material';
+import { ACCEPTED_ATTACHMENT_TYPES } from '../utils/chat';
+
+// Attach button for a chat composer
+export const ChatAttachButton = ({ onFiles, disabled }) => {
+  const inputRef = useRef(null);
+
+  return (
+    <>
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        hidden
+        accept={ACCEPTED_ATTACHMENT_TYPES}
+        onChange={(e) => {
+          onFiles(e.target.files);
+          e.target.value = '';
+        }}
+      />
+      <Tooltip title="Attach images or PDFs">
+        <span>
+          <IconButton onClick={() => inputRef.current?.click()} disabled={disabled} aria-label="Attach files">
+            <AttachFile />
+          </IconButton>
+        </span>
+      </Tooltip>
+    </>
+  );
+};
+
+// Files picked in a composer with their upload progress
+const ChatUploadTray = ({ uploads, onRemove }) => {
+  if (uploads.length === 0) return null;
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, px: 1, pb: 1 }}>
+      {uploads.map((upload) => (
+        <Box key={upload.id} sx={{ maxWidth: 200 }}>
+          <Chip
+            size="small"
+            icon={upload.kind === 'image' ? <Image /> : <PictureAsPdf />}
+            label={upload.name}
+            color={upload.status === 'failed' ? 'error' : 'default'}
+            onDelete={() => onRemove(upload.id)}
+            sx={{ maxWidth: '100%' }}
+          />
+          {upload.status === 'uploading' && (
+            <LinearProgress variant="determinate" value={upload.progress} sx={{ mt: 0.5, borderRadius: 1 }} />
+          )}
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+export default ChatUploadTray;
@@ -12,12 +12,14 @@ import {
   Grid,
   IconButton,
   Snackbar,
-  LinearProgress
+  LinearProgress,
+  Tooltip
 } from '@mui/material';
 import { motion, useAnimation } from 'framer-motion';
 import { auth, db } from '../firebase';
 import { doc, getDoc, updateDoc, onSnapshot, collection, query, orderBy, limit } from 'firebase/firestore';
-import { CheckCircle, Star, EmojiEvents, Bolt, Close, LocalFireDepartment, Whatshot } from '@mui/icons-material';
+import { CheckCircle, Star, EmojiEvents, Bolt, Close, LocalFireDepartment, Whatshot, ChatBubbleOutline } from '@mui/icons-material';
+import useStartConversation from '../hooks/useStartConversation';
 
 const Gamification = () => {
   const theme = useTheme();
@@ -30,6 +32,7 @@ const Gamification = () => {
   const [toast, setToast] = useState({ open: false, message: '' });
   const [showReward, setShowReward] = useState(false); // Reward popup
   const controls = useAnimation();
+  const startConversation = useStartConversation();
 
   // Fetch user data and leaderboard
   useEffect(() => {
@@ -104,6 +107,19 @@ const Gamification = () => {
     await addPoints(updatedChallenges.find((c) => c.id === challengeId).points);
   };
 
+  // Open a direct message with someone on the leaderboard
+  const messageUser = async (entry) => {
+    try {
+      await startConversation([{
+        uid: entry.id,
+        user: entry.displayName || entry.email,
+        photoURL: entry.photoURL,
+      }]);
+    } catch (err) {
+      setToast({ open: true, message: err.message || 'Failed to start conversation' });
+    }
+  };
+
   // Calculate progress towards the next tier
   const nextTierPoints = 1000; // Points required for the next tier
   const progress = (points / nextTierPoints) * 100;
@@ -225,6 +241,13 @@ const Gamification = () => {
                     <Typography variant="body1" sx={{ fontWeight: 600 }}>
                       {user.points} Points
                     </Typography>
+                    {user.id !== auth.currentUser?.uid && (
+                      <Tooltip title="Send a message">
+                        <IconButton onClick={() => messageUser(user)} aria-label="Send a message">
+                          <ChatBubbleOutline />
+                        </IconButton>
+                      </Tooltip>
+                    )}
                   </CardContent>
                 </Card>
               </motion.div>
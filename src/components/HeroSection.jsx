@@ -5,6 +5,7 @@ import { Link } from 'react-router-dom';
 import SettingsIcon from '@mui/icons-material/Settings';
 import { useDispatch, useSelector } from 'react-redux';
 import { logout } from '../redux/authSlice';
+import { clearOutboxEntries } from '../utils/outbox';
 import { auth } from '../firebase';
 
 const features = [
@@ -60,6 +61,8 @@ const HeroSection = () => {
 
   const handleLogout = async () => {
     try {
+      // Unsent messages must not be delivered by whoever signs in next
+      await clearOutboxEntries(auth.currentUser?.uid).catch(() => {});
       await auth.signOut();
       dispatch(logout());
     } catch (err) {
@@ -1,11 +1,54 @@
-import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
+import React, { useState, useEffect, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Circle, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
-import { Box, TextField, Button, Typography, Chip, CircularProgress, Snackbar, IconButton, useTheme } from '@mui/material';
-import { motion, AnimatePresence } from 'framer-motion';
-import { Close, LocationOn, AddLocation, MyLocation } from '@mui/icons-material';
-import axios from 'axios';
+import {
+  Box, TextField, Button, Typography, Chip, CircularProgress, Snackbar, IconButton, useTheme,
+  ToggleButton, ToggleButtonGroup
+} from '@mui/material';
+import { Close, LocationOn, AddLocation, MyLocation, NearMe, Place, Whatshot } from '@mui/icons-material';
+import MarkerClusterGroup from '@changey/react-leaflet-markercluster';
 import 'leaflet/dist/leaflet.css';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import { useSearchParams } from 'react-router-dom';
+import { auth } from '../firebase';
+import useStartConversation from '../hooks/useStartConversation';
+import useMapPins from '../hooks/useMapPins';
+import MapPinPopup from './MapPinPopup';
+import MapPlaceSearch from './MapPlaceSearch';
+import MapNearbyPanel from './MapNearbyPanel';
+import MapHeatLayer, { MapHeatLegend } from './MapHeatLayer';
+import { getGeocoder } from '../geocoding';
+import {
+  searchMapPins,
+  fetchMapPin,
+  fetchNearbyPins,
+  addUserLocation,
+  updateMapPin,
+  deleteMapPin
+} from '../utils/api';
+import { CATEGORY_LABELS, categoryOf, getCategoryColor } from '../utils/mapCategories';
+import { distanceKm } from '../utils/geo';
+import {
+  DEFAULT_PRECISION,
+  PRECISION_OPTIONS,
+  VISIBILITY_OPTIONS,
+  canSeePin,
+  obscureLocation
+} from '../utils/locationPrivacy';
+import { registerSlashCommand } from '../utils/slashCommands';
+
+// `/map <interest>` in the chat shares a link that opens this map on the pin
+registerSlashCommand({
+  name: 'map',
+  description: 'Share a pin from the community map',
+  usage: '/map interest',
+  run: async (args, { post }) => {
+    if (!args) throw new Error('Usage: /map interest');
+    const [pin] = await searchMapPins(args, { limit: 1 });
+    if (!pin) throw new Error(`No map pin matches "${args}"`);
+    post(`📍 **${pin.interest}** on the community map: ${window.location.origin}/map?pin=${pin._id}`);
+  },
+});
 
 // Color-coded marker icons
 const markerColors = {
@@ -25,47 +68,249 @@ const createCustomIcon = (color = 'default') => L.icon({
   shadowSize: [41, 41]
 });
 
-const MotionMarker = motion(Marker);
+// One shared icon per category, rather than one per marker
+const markerIcons = Object.fromEntries(Object.keys(markerColors).map((key) => [key, createCustomIcon(key)]));
+
+// Cluster bubbles are a pie of the categories inside them, with the pin count
+const createClusterIcon = (cluster) => {
+  const counts = {};
+  cluster.getAllChildMarkers().forEach((marker) => {
+    const category = marker.options.category;
+    counts[category] = (counts[category] || 0) + 1;
+  });
+
+  const total = cluster.getChildCount();
+  let angle = 0;
+  const slices = Object.entries(counts).map(([category, count]) => {
+    const end = angle + (count / total) * 360;
+    const slice = `${getCategoryColor(category)} ${angle}deg ${end}deg`;
+    angle = end;
+    return slice;
+  });
+  const size = total < 10 ? 36 : total < 100 ? 44 : 52;
+
+  const ring = [
+    `width:${size}px;height:${size}px;border-radius:50%`,
+    'display:flex;align-items:center;justify-content:center',
+    `background:conic-gradient(${slices.join(',')});box-shadow:0 2px 6px rgba(0,0,0,0.35)`,
+  ].join(';');
+  const label = [
+    `width:${size - 14}px;height:${size - 14}px;border-radius:50%`,
+    'display:flex;align-items:center;justify-content:center',
+    'background:rgba(255,255,255,0.92);color:#222;font-weight:700;font-size:12px',
+  ].join(';');
+
+  return L.divIcon({
+    html: `<div style="${ring}"><span style="${label}">${total}</span></div>`,
+    className: '',
+    iconSize: L.point(size, size),
+  });
+};
+
+// Short name for a pin's position; pins are still saved if the lookup fails
+const placeNameFor = async (location) => {
+  try {
+    const place = await getGeocoder().reverse(location);
+    return place?.name || '';
+  } catch {
+    return '';
+  }
+};
+
+const viewportOf = (map) => {
+  const bounds = map.getBounds();
+  return {
+    bounds: { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() },
+    zoom: map.getZoom(),
+  };
+};
+
+// Reports the visible area once the map is shown and whenever it settles
+const ViewportWatcher = ({ onChange }) => {
+  const map = useMapEvents({
+    moveend: () => onChange(viewportOf(map)),
+  });
+
+  useEffect(() => {
+    onChange(viewportOf(map));
+  }, [map, onChange]);
+
+  return null;
+};
+
+const DEFAULT_RADIUS_KM = 5;
+// Wait for the radius slider to settle before searching
+const NEARBY_DELAY = 300;
+// Don't wait on a slow or silent location prompt, and reuse a recent fix
+const LOCATE_OPTIONS = { timeout: 10000, maximumAge: 5 * 60 * 1000 };
+// Until the user's position arrives the map shows the whole world
+const FALLBACK_ZOOM = 2;
+const LOCATED_ZOOM = 13;
+
+// The "near me" search area, kept in view as the radius changes
+const NearbyArea = ({ center, radiusKm }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    map.fitBounds(L.latLng(center.lat, center.lng).toBounds(radiusKm * 2000), { padding: [24, 24] });
+  }, [map, center, radiusKm]);
+
+  return (
+    <Circle
+      center={[center.lat, center.lng]}
+      radius={radiusKm * 1000}
+      pathOptions={{ color: '#7C4DFF', weight: 2, fillOpacity: 0.08 }}
+    />
+  );
+};
+
+// Centres the map on a pin and opens its popup (used for ?pin= links),
+// expanding its cluster first if it is grouped with others
+const FocusPin = ({ pin, clusterRef }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!pin) return;
+    const position = L.latLng(pin.location.lat, pin.location.lng);
+    const cluster = clusterRef.current;
+    const marker = cluster?.getLayers().find((layer) => layer.getLatLng().equals(position));
+    if (marker) {
+      cluster.zoomToShowLayer(marker, () => marker.openPopup());
+    } else {
+      map.setView(position, 16);
+    }
+  }, [map, pin, clusterRef]);
+
+  return null;
+};
 
 const InteractiveMap = () => {
   const theme = useTheme();
-  const [mapData, setMapData] = useState([]);
   const [location, setLocation] = useState({ lat: 0, lng: 0 });
   const [interest, setInterest] = useState('');
   const [category, setCategory] = useState('default');
-  const [loading, setLoading] = useState(true);
+  const [precision, setPrecision] = useState(DEFAULT_PRECISION);
+  const [visibility, setVisibility] = useState('public');
+  const [focusedPin, setFocusedPin] = useState(null);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [hiddenCategories, setHiddenCategories] = useState(() => new Set());
+  // Where the browser says the user is, for "near me"
+  const [myLocation, setMyLocation] = useState(null);
+  const [nearbyOpen, setNearbyOpen] = useState(false);
+  const [radiusKm, setRadiusKm] = useState(DEFAULT_RADIUS_KM);
+  // Pins inside the "near me" circle, loaded for the circle itself
+  const [nearbyPins, setNearbyPins] = useState(null);
+  const [nearbyLoading, setNearbyLoading] = useState(false);
+  // Show pins as markers or as a density heatmap of one category (or all)
+  const [layerMode, setLayerMode] = useState('markers');
+  const [heatCategory, setHeatCategory] = useState('all');
+  const clusterRef = useRef(null);
+  const mapRef = useRef(null);
+  const startConversation = useStartConversation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const focusedPinId = searchParams.get('pin');
+  const { pins, loading, setViewport, addPin, updatePin, removePin } = useMapPins({ onError: setError });
+  // The user's own pin that is currently draggable
+  const [movingId, setMovingId] = useState(null);
+  // A shared pin stays visible even if it is outside the loaded area or its
+  // category is filtered out
+  const withFocusedPin = (list) => [
+    ...list.filter((pin) => pin._id !== focusedPin?._id),
+    ...(focusedPin ? [focusedPin] : []),
+  ]
+    .filter((pin) => canSeePin(pin, auth.currentUser?.uid))
+    .filter((pin) => pin === focusedPin || !hiddenCategories.has(categoryOf(pin)));
+  const visiblePins = withFocusedPin(pins);
+  // With "near me" on, only pins inside the circle, nearest first. The viewport
+  // tiles are sampled when zoomed out, so the circle has its own query; until
+  // its first results arrive the already loaded pins stand in.
+  const nearbyResults = nearbyOpen && myLocation
+    ? withFocusedPin(nearbyPins || pins)
+      .map((pin) => ({ pin, distance: distanceKm(myLocation, pin.location) }))
+      .filter((result) => result.distance <= radiusKm)
+      .sort((a, b) => a.distance - b.distance)
+    : null;
+  const mapPins = nearbyResults ? nearbyResults.map((result) => result.pin) : visiblePins;
+  const heatPins = heatCategory === 'all' ? mapPins : mapPins.filter((pin) => categoryOf(pin) === heatCategory);
 
-  // Get user's current location
+  const toggleCategory = (category) => {
+    setHiddenCategories((prev) => {
+      const next = new Set(prev);
+      if (next.has(category)) next.delete(category);
+      else next.add(category);
+      return next;
+    });
+  };
+
+  // Get user's current location and move the map there, unless the view has
+  // already moved (to a shared pin, or by the user)
   useEffect(() => {
     if (navigator.geolocation) {
       navigator.geolocation.getCurrentPosition(
         (position) => {
-          setLocation({
+          const here = {
             lat: position.coords.latitude,
             lng: position.coords.longitude
-          });
+          };
+          setLocation(here);
+          setMyLocation(here);
+          const map = mapRef.current;
+          if (map && map.getZoom() === FALLBACK_ZOOM) map.setView([here.lat, here.lng], LOCATED_ZOOM);
         },
-        (err) => setError('Could not retrieve your location')
+        () => setError('Could not retrieve your location'),
+        LOCATE_OPTIONS
       );
     }
   }, []);
 
-  // Fetch map data
   useEffect(() => {
-    const fetchMapData = async () => {
+    if (!nearbyOpen || !myLocation) {
+      setNearbyPins(null);
+      setNearbyLoading(false);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setNearbyLoading(true);
       try {
-        const response = await axios.get('https://socio-99.onrender.com/api/map');
-        setMapData(response.data);
-        setLoading(false);
-      } catch (error) {
-        setError('Failed to load map data');
-        setLoading(false);
+        const found = await fetchNearbyPins({ lat: myLocation.lat, lng: myLocation.lng, radiusKm });
+        if (!cancelled) setNearbyPins(found);
+      } catch {
+        if (!cancelled) setError('Failed to load pins near you');
+      } finally {
+        if (!cancelled) setNearbyLoading(false);
       }
+    }, NEARBY_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
     };
-    fetchMapData();
-  }, []);
+  }, [nearbyOpen, myLocation, radiusKm]);
+
+  // Keep the "near me" list in step with the user's own changes
+  const patchNearby = (change) => setNearbyPins((prev) => (prev ? change(prev) : prev));
+
+  // Pins shared with ?pin= links may be anywhere, so load them on their own
+  useEffect(() => {
+    if (!focusedPinId) {
+      setFocusedPin(null);
+      return;
+    }
+    let cancelled = false;
+    fetchMapPin(focusedPinId)
+      .then((pin) => {
+        if (!cancelled) setFocusedPin(pin);
+      })
+      .catch(() => {
+        if (!cancelled) setError('That map pin could not be found');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [focusedPinId]);
 
   const handleAddLocation = async () => {
     if (!interest.trim()) {
@@ -73,33 +318,119 @@ const InteractiveMap = () => {
       return;
     }
 
+    // Pins belong to the member who added them, so only they can change them
+    const currentUser = auth.currentUser;
+    if (!currentUser) {
+      setError('Sign in to add a pin');
+      return;
+    }
+
     try {
+      const pinLocation = obscureLocation(location, precision);
       const newUser = { 
-        location, 
+        location: pinLocation,
+        placeName: await placeNameFor(pinLocation),
         interest,
         category,
-        timestamp: new Date().toISOString()
+        precision,
+        visibility,
+        timestamp: new Date().toISOString(),
+        user: currentUser.displayName || currentUser.email,
+        photoURL: currentUser.photoURL || ''
       };
       
-      const response = await axios.post('https://socio-99.onrender.com/api/map', newUser);
-      setMapData([...mapData, response.data.data]);
+      const response = await addUserLocation(newUser);
+      addPin(response.data);
+      patchNearby((prev) => [...prev, response.data]);
       setInterest('');
       setSuccess('Location added successfully!');
     } catch (error) {
-      setError(`Failed to add location: ${error.response?.data?.message || error.message}`);
+      setError(`Failed to add location: ${error.message}`);
       console.error('Add location error:', error);
     }
   };
 
-  const getCategoryColor = (category) => {
-    const colors = {
-      environment: '#2196F3',
-      education: '#FF9800',
-      social: '#F44336',
-      health: '#9C27B0',
-      default: '#4CAF50'
-    };
-    return colors[category] || colors.default;
+  // Apply an owner's change to the map, including a shared pin shown via ?pin=
+  const applyPinChange = (pin) => {
+    updatePin(pin);
+    patchNearby((prev) => prev.map((item) => (item._id === pin._id ? pin : item)));
+    setFocusedPin((prev) => (prev?._id === pin._id ? pin : prev));
+  };
+
+  const savePin = async (pin, changes) => {
+    try {
+      const updated = await updateMapPin(pin._id, changes);
+      applyPinChange(updated);
+      setSuccess('Pin updated');
+    } catch (error) {
+      setError(`Failed to update pin: ${error.message}`);
+      throw error;
+    }
+  };
+
+  // Save a dragged pin's new position, putting the marker back if that fails
+  const movePin = async (pin, marker) => {
+    const { lat, lng } = marker.getLatLng();
+    try {
+      const pinLocation = obscureLocation({ lat, lng }, pin.precision || 'exact');
+      const updated = await updateMapPin(pin._id, {
+        location: pinLocation,
+        placeName: await placeNameFor(pinLocation)
+      });
+      applyPinChange(updated);
+    } catch (error) {
+      marker.setLatLng([pin.location.lat, pin.location.lng]);
+      setError(`Failed to move pin: ${error.message}`);
+    }
+  };
+
+  const removeMapPin = async (pin) => {
+    if (!window.confirm(`Delete your "${pin.interest}" pin?`)) return;
+    try {
+      await deleteMapPin(pin._id);
+      removePin(pin._id);
+      patchNearby((prev) => prev.filter((item) => item._id !== pin._id));
+      setFocusedPin((prev) => (prev?._id === pin._id ? null : prev));
+      setSuccess('Pin deleted');
+    } catch (error) {
+      setError(`Failed to delete pin: ${error.message}`);
+    }
+  };
+
+  const locateMe = (onFound) => {
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        const here = {
+          lat: pos.coords.latitude,
+          lng: pos.coords.longitude
+        };
+        setLocation(here);
+        setMyLocation(here);
+        onFound?.();
+      },
+      () => setError('Location access denied'),
+      LOCATE_OPTIONS
+    );
+  };
+
+  const toggleNearby = () => {
+    if (nearbyOpen) setNearbyOpen(false);
+    else if (myLocation) setNearbyOpen(true);
+    else locateMe(() => setNearbyOpen(true));
+  };
+
+  // Use a searched place as the new pin's position and show it on the map
+  const goToPlace = (place) => {
+    setLocation({ lat: place.lat, lng: place.lng });
+    mapRef.current?.flyTo([place.lat, place.lng], 15);
+  };
+
+  const messagePinOwner = async (pin) => {
+    try {
+      await startConversation([{ uid: pin.uid, user: pin.user, photoURL: pin.photoURL }]);
+    } catch (error) {
+      setError(error.message || 'Failed to start conversation');
+    }
   };
 
   return (
@@ -128,6 +459,10 @@ const InteractiveMap = () => {
           Community Map
         </Typography>
 
+        <Box sx={{ mb: 2 }}>
+          <MapPlaceSearch onSelect={goToPlace} onError={setError} />
+        </Box>
+
         <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
           <TextField
             fullWidth
@@ -171,6 +506,34 @@ const InteractiveMap = () => {
           </TextField>
         </Box>
 
+        {/* Privacy: the position is coarsened before it is sent */}
+        <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+          <TextField
+            select
+            fullWidth
+            label="Location precision"
+            value={precision}
+            onChange={(e) => setPrecision(e.target.value)}
+            SelectProps={{ native: true }}
+          >
+            {PRECISION_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label="Visible to"
+            value={visibility}
+            onChange={(e) => setVisibility(e.target.value)}
+            SelectProps={{ native: true }}
+            sx={{ width: 150, flexShrink: 0 }}
+          >
+            {VISIBILITY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </TextField>
+        </Box>
+
         <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
           <Button
             variant="contained"
@@ -188,101 +551,158 @@ const InteractiveMap = () => {
           <Button
             variant="outlined"
             startIcon={<MyLocation />}
-            onClick={() => navigator.geolocation.getCurrentPosition(
-              (pos) => setLocation({
-                lat: pos.coords.latitude,
-                lng: pos.coords.longitude
-              }),
-              (err) => setError('Location access denied')
-            )}
+            onClick={() => locateMe()}
             sx={{ borderRadius: 2 }}
           >
             My Location
           </Button>
+          <Button
+            variant={nearbyOpen ? 'contained' : 'outlined'}
+            startIcon={<NearMe />}
+            onClick={toggleNearby}
+            sx={{ borderRadius: 2 }}
+          >
+            Near Me
+          </Button>
         </Box>
 
-        {/* Legend */}
+        {/* Legend: click a category to show or hide its pins */}
         <Box sx={{ mt: 2, display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-          {Object.entries({
-            environment: 'Environment',
-            education: 'Education',
-            social: 'Social',
-            health: 'Health',
-            default: 'General'
-          }).map(([key, label]) => (
-            <Chip
-              key={key}
-              label={label}
+          {Object.entries(CATEGORY_LABELS).map(([key, label]) => {
+            const hidden = hiddenCategories.has(key);
+            return (
+              <Chip
+                key={key}
+                label={label}
+                size="small"
+                clickable
+                onClick={() => toggleCategory(key)}
+                variant={hidden ? 'outlined' : 'filled'}
+                aria-pressed={!hidden}
+                sx={{ 
+                  backgroundColor: hidden ? 'transparent' : getCategoryColor(key),
+                  borderColor: getCategoryColor(key),
+                  color: hidden ? theme.palette.text.secondary : 'white',
+                  fontWeight: 500,
+                  textDecoration: hidden ? 'line-through' : 'none',
+                  '&:hover': { backgroundColor: hidden ? theme.palette.action.hover : getCategoryColor(key) }
+                }}
+              />
+            );
+          })}
+        </Box>
+
+        {/* Layer switch */}
+        <Box sx={{ mt: 2, display: 'flex', alignItems: 'center', gap: 2 }}>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={layerMode}
+            onChange={(e, mode) => mode && setLayerMode(mode)}
+            aria-label="Map layer"
+          >
+            <ToggleButton value="markers" sx={{ gap: 0.5 }}>
+              <Place fontSize="small" /> Markers
+            </ToggleButton>
+            <ToggleButton value="heatmap" sx={{ gap: 0.5 }}>
+              <Whatshot fontSize="small" /> Heatmap
+            </ToggleButton>
+          </ToggleButtonGroup>
+          {layerMode === 'heatmap' && (
+            <TextField
+              select
               size="small"
-              sx={{ 
-                backgroundColor: getCategoryColor(key),
-                color: 'white',
-                fontWeight: 500
-              }}
-            />
-          ))}
+              label="Interest in"
+              value={heatCategory}
+              onChange={(e) => setHeatCategory(e.target.value)}
+              SelectProps={{ native: true }}
+              sx={{ flex: 1 }}
+            >
+              <option value="all">All categories</option>
+              {Object.entries(CATEGORY_LABELS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </TextField>
+          )}
         </Box>
+        {layerMode === 'heatmap' && (
+          <Box sx={{ mt: 1.5 }}>
+            <MapHeatLegend category={heatCategory} />
+          </Box>
+        )}
       </Box>
 
       {/* Map Content */}
-      {loading ? (
-        <Box sx={{ 
-          display: 'flex', 
-          justifyContent: 'center', 
-          alignItems: 'center', 
-          height: '100%',
-          backgroundColor: theme.palette.background.default
-        }}>
-          <CircularProgress size={60} />
-        </Box>
-      ) : (
-        <MapContainer 
-          center={[location.lat, location.lng]} 
-          zoom={13} 
-          style={{ height: '100%', width: '100%' }}
-        >
-          <TileLayer
-            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-          />
+      <MapContainer 
+        ref={mapRef}
+        center={[location.lat, location.lng]} 
+        zoom={FALLBACK_ZOOM} 
+        style={{ height: '100%', width: '100%' }}
+      >
+        <TileLayer
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        />
 
-          <AnimatePresence>
-            {mapData.map((user) => (
-              <MotionMarker
-                key={user._id}
+        {layerMode === 'markers' ? (
+          <MarkerClusterGroup
+            ref={clusterRef}
+            iconCreateFunction={createClusterIcon}
+            chunkedLoading
+            showCoverageOnHover={false}
+          >
+            {/* The cluster reads a marker's category only when it is added, so a
+                recategorized pin is remounted */}
+            {mapPins.map((user) => (
+              <Marker
+                key={`${user._id}-${categoryOf(user)}`}
                 position={[user.location.lat, user.location.lng]}
-                icon={createCustomIcon(user.category)}
-                initial={{ scale: 0 }}
-                animate={{ scale: 1 }}
-                exit={{ scale: 0 }}
-                transition={{ type: 'spring', stiffness: 260, damping: 20 }}
+                icon={markerIcons[categoryOf(user)]}
+                category={categoryOf(user)}
+                draggable={user._id === movingId}
+                eventHandlers={user._id === movingId
+                  ? { dragend: (e) => movePin(user, e.target) }
+                  : undefined}
               >
                 <Popup>
-                  <Box sx={{ 
-                    p: 1, 
-                    minWidth: 200,
-                    borderLeft: `4px solid ${getCategoryColor(user.category)}`
-                  }}>
-                    <Typography variant="subtitle1" sx={{ fontWeight: 700 }}>
-                      {user.interest}
-                    </Typography>
-                    <Chip 
-                      label={user.category.toUpperCase()}
-                      size="small"
-                      sx={{ 
-                        mt: 1,
-                        backgroundColor: getCategoryColor(user.category),
-                        color: 'white'
-                      }}
-                    />
-                    <Typography variant="body2" sx={{ mt: 1, color: 'text.secondary' }}>
-                      Added: {new Date(user.timestamp).toLocaleDateString()}
-                    </Typography>
-                  </Box>
+                  <MapPinPopup
+                    pin={user}
+                    isOwner={Boolean(user.uid) && user.uid === auth.currentUser?.uid}
+                    moving={user._id === movingId}
+                    onMessage={() => messagePinOwner(user)}
+                    onSave={(changes) => savePin(user, changes)}
+                    onMove={() => setMovingId(user._id)}
+                    onCancelMove={() => setMovingId(null)}
+                    onDelete={() => removeMapPin(user)}
+                  />
                 </Popup>
-              </MotionMarker>
+              </Marker>
             ))}
-          </AnimatePresence>
-        </MapContainer>
+          </MarkerClusterGroup>
+        ) : (
+          <MapHeatLayer pins={heatPins} category={heatCategory} />
+        )}
+        {nearbyResults && <NearbyArea center={myLocation} radiusKm={radiusKm} />}
+        <FocusPin pin={focusedPin} clusterRef={clusterRef} />
+        <ViewportWatcher onChange={setViewport} />
+      </MapContainer>
+
+      {nearbyResults && (
+        <MapNearbyPanel
+          results={nearbyResults}
+          loading={nearbyLoading}
+          radiusKm={radiusKm}
+          onRadiusChange={setRadiusKm}
+          onSelect={(pin) => setSearchParams({ pin: pin._id })}
+          onClose={() => setNearbyOpen(false)}
+        />
+      )}
+
+      {/* Pins for the current view are loading */}
+      {loading && (
+        <CircularProgress
+          size={28}
+          sx={{ position: 'absolute', bottom: 24, left: 16, zIndex: 1000 }}
+        />
       )}
 
       {/* Notifications */}
@@ -2,9 +2,12 @@ import React from 'react';
 import { Outlet, useLocation } from 'react-router-dom';
 import Navbar from './Navbar';
 import Footer from './Footer';
+import ChatMentionNotifier from './ChatMentionNotifier';
+import useChatUnread from '../hooks/useChatUnread';
 
 const Layout = () => {
   const location = useLocation();
+  useChatUnread();
 
   // Conditionally render Navbar based on the route
   const showNavbar = location.pathname !== '/';
@@ -14,6 +17,7 @@ const Layout = () => {
       {showNavbar && <Navbar />} {/* Render Navbar only if not on homepage */}
       <Outlet />
       <Footer />
+      <ChatMentionNotifier />
     </div>
   );
 };
@@ -0,0 +1,51 @@
+import React, { useEffect, useRef } from 'react';
+import { Box, Typography } from '@mui/material';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet.heat';
+import { heatGradient, heatWeight } from '../utils/mapCategories';
+
+// Density of the given pins, weighted and colored for `category` ('all' for
+// every pin)
+const MapHeatLayer = ({ pins, category }) => {
+  const map = useMap();
+  const layerRef = useRef(null);
+  const gradient = heatGradient(category);
+
+  useEffect(() => {
+    const layer = L.heatLayer([], { radius: 25, blur: 15, minOpacity: 0.3, gradient }).addTo(map);
+    layerRef.current = layer;
+    return () => {
+      map.removeLayer(layer);
+      layerRef.current = null;
+    };
+  }, [map, gradient]);
+
+  // Redraws are batched per animation frame by the layer itself
+  useEffect(() => {
+    layerRef.current?.setLatLngs(pins
+      .map((pin) => [pin.location.lat, pin.location.lng, heatWeight(pin, category)])
+      .filter(([, , weight]) => weight > 0));
+  }, [pins, category, gradient]);
+
+  return null;
+};
+
+// Intensity scale matching MapHeatLayer's colors
+export const MapHeatLegend = ({ category }) => {
+  const stops = Object.entries(heatGradient(category))
+    .map(([stop, color]) => `${color} ${stop * 100}%`)
+    .join(', ');
+
+  return (
+    <Box>
+      <Box sx={{ height: 10, borderRadius: 5, background: `linear-gradient(to right, transparent 0%, ${stops})` }} />
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 0.5 }}>
+        <Typography variant="caption" sx={{ color: 'text.secondary' }}>Fewer pins</Typography>
+        <Typography variant="caption" sx={{ color: 'text.secondary' }}>More pins</Typography>
+      </Box>
+    </Box>
+  );
+};
+
+export default MapHeatLayer;
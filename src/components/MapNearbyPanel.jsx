@@ -0,0 +1,102 @@
+import React from 'react';
+import {
+  Box,
+  CircularProgress,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemText,
+  Slider,
+  Typography,
+  useTheme
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+import { CATEGORY_LABELS, categoryOf, getCategoryColor } from '../utils/mapCategories';
+import { formatDistance } from '../utils/geo';
+
+const MIN_RADIUS_KM = 1;
+const MAX_RADIUS_KM = 50;
+
+// Side panel listing the pins within `radiusKm` of the user, nearest first.
+// `results` are { pin, distance } with the distance in km; `onSelect(pin)`
+// shows a pin on the map. `loading` is set while the radius is being searched.
+const MapNearbyPanel = ({ results, loading, radiusKm, onRadiusChange, onSelect, onClose }) => {
+  const theme = useTheme();
+
+  return (
+    <Box sx={{
+      position: 'absolute',
+      top: 16,
+      right: 16,
+      bottom: 16,
+      zIndex: 1000,
+      width: 300,
+      maxWidth: '80%',
+      display: 'flex',
+      flexDirection: 'column',
+      backgroundColor: theme.palette.background.paper,
+      borderRadius: 2,
+      boxShadow: 3
+    }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', px: 2, pt: 1.5 }}>
+        <Typography variant="h6" sx={{ flex: 1, fontWeight: 700 }}>
+          Near me
+        </Typography>
+        <IconButton size="small" onClick={onClose} aria-label="Close near me">
+          <Close fontSize="small" />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ px: 2 }}>
+        <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+          Within {radiusKm} km
+        </Typography>
+        <Slider
+          size="small"
+          value={radiusKm}
+          min={MIN_RADIUS_KM}
+          max={MAX_RADIUS_KM}
+          onChange={(e, value) => onRadiusChange(value)}
+          valueLabelDisplay="auto"
+          aria-label="Search radius in kilometres"
+        />
+      </Box>
+
+      {loading && results.length === 0 ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : results.length === 0 ? (
+        <Typography variant="body2" sx={{ color: 'text.secondary', px: 2, py: 1 }}>
+          Nobody has added a pin within {radiusKm} km yet.
+        </Typography>
+      ) : (
+        <List dense sx={{ overflowY: 'auto', flex: 1 }}>
+          {results.map(({ pin, distance }) => (
+            <ListItemButton key={pin._id} onClick={() => onSelect(pin)}>
+              <Box sx={{
+                width: 10,
+                height: 10,
+                borderRadius: '50%',
+                backgroundColor: getCategoryColor(pin.category),
+                mr: 1.5,
+                flexShrink: 0
+              }} />
+              <ListItemText
+                primary={pin.interest}
+                secondary={[CATEGORY_LABELS[categoryOf(pin)], pin.placeName].filter(Boolean).join(' · ')}
+                primaryTypographyProps={{ noWrap: true, fontWeight: 500 }}
+                secondaryTypographyProps={{ noWrap: true }}
+              />
+              <Typography variant="caption" sx={{ color: 'text.secondary', ml: 1, flexShrink: 0 }}>
+                {formatDistance(distance)}
+              </Typography>
+            </ListItemButton>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default MapNearbyPanel;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Button, Chip, TextField, Typography } from '@mui/material';
+import { ChatBubbleOutline, Delete, Edit, LocationOn, OpenWith } from '@mui/icons-material';
+import { CATEGORY_LABELS, getCategoryColor } from '../utils/mapCategories';
+import { PRECISION_OPTIONS, VISIBILITY_OPTIONS } from '../utils/locationPrivacy';
+import { getGeocoder } from '../geocoding';
+
+const labelOf = (options, value) => options.find((option) => option.value === value)?.label || value;
+
+// Popup body for a map pin. Owners get edit, move and delete controls;
+// everyone else can message the person who added it. `onSave(changes)` may
+// throw, in which case the form stays open.
+const MapPinPopup = ({ pin, isOwner, moving, onMessage, onSave, onMove, onCancelMove, onDelete }) => {
+  const [editing, setEditing] = useState(false);
+  const [interest, setInterest] = useState(pin.interest);
+  const [category, setCategory] = useState(pin.category || 'default');
+  const [visibility, setVisibility] = useState(pin.visibility || 'public');
+  const [saving, setSaving] = useState(false);
+  const [lookedUpName, setLookedUpName] = useState('');
+  const placeName = pin.placeName || lookedUpName;
+
+  // Pins saved before place names existed are named when first opened
+  useEffect(() => {
+    if (pin.placeName) return;
+    let cancelled = false;
+    getGeocoder().reverse(pin.location)
+      .then((place) => {
+        if (!cancelled && place) setLookedUpName(place.name);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pin.placeName, pin.location]);
+
+  const startEditing = () => {
+    setInterest(pin.interest);
+    setCategory(pin.category || 'default');
+    setVisibility(pin.visibility || 'public');
+    setEditing(true);
+  };
+
+  const save = async () => {
+    if (!interest.trim()) return;
+    setSaving(true);
+    try {
+      await onSave({ interest: interest.trim(), category, visibility });
+      setEditing(false);
+    } catch {
+      // The map shows the error
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (editing) {
+    return (
+      <Box sx={{ p: 1, minWidth: 220, display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+        <TextField
+          size="small"
+          label="Interest"
+          value={interest}
+          onChange={(e) => setInterest(e.target.value)}
+          autoFocus
+        />
+        <TextField
+          select
+          size="small"
+          label="Category"
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          SelectProps={{ native: true }}
+        >
+          {Object.entries(CATEGORY_LABELS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Visible to"
+          value={visibility}
+          onChange={(e) => setVisibility(e.target.value)}
+          SelectProps={{ native: true }}
+        >
+          {VISIBILITY_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </TextField>
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+          <Button size="small" onClick={() => setEditing(false)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button size="small" variant="contained" onClick={save} disabled={saving || !interest.trim()}>
+            Save
+          </Button>
+        </Box>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{
+      p: 1,
+      minWidth: 200,
+      borderLeft: `4px solid ${getCategoryColor(pin.category)}`
+    }}>
+      <Typography variant="subtitle1" sx={{ fontWeight: 700 }}>
+        {pin.interest}
+      </Typography>
+      <Chip
+        label={(pin.category || 'default').toUpperCase()}
+        size="small"
+        sx={{
+          mt: 1,
+          backgroundColor: getCategoryColor(pin.category),
+          color: 'white'
+        }}
+      />
+      {placeName && (
+        <Typography variant="body2" sx={{ mt: 1, display: 'flex', alignItems: 'center', gap: 0.5 }}>
+          <LocationOn fontSize="small" sx={{ color: getCategoryColor(pin.category) }} />
+          {placeName}
+        </Typography>
+      )}
+      <Typography variant="body2" sx={{ mt: 1, color: 'text.secondary' }}>
+        Added: {new Date(pin.timestamp).toLocaleDateString()}
+      </Typography>
+
+      {isOwner && (
+        <Typography variant="caption" component="div" sx={{ mt: 0.5, color: 'text.secondary' }}>
+          Visible to {labelOf(VISIBILITY_OPTIONS, pin.visibility || 'public').toLowerCase()}
+          {' · '}
+          {labelOf(PRECISION_OPTIONS, pin.precision || 'exact')}
+        </Typography>
+      )}
+
+      {isOwner && (moving ? (
+        <Box sx={{ mt: 1 }}>
+          <Typography variant="body2" sx={{ fontWeight: 500 }}>
+            Drag the pin to its new place
+          </Typography>
+          <Button size="small" onClick={onCancelMove} sx={{ mt: 0.5, borderRadius: 2 }}>
+            Done
+          </Button>
+        </Box>
+      ) : (
+        <Box sx={{ mt: 1, display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+          <Button size="small" startIcon={<Edit />} onClick={startEditing} sx={{ borderRadius: 2 }}>
+            Edit
+          </Button>
+          <Button size="small" startIcon={<OpenWith />} onClick={onMove} sx={{ borderRadius: 2 }}>
+            Move
+          </Button>
+          <Button size="small" color="error" startIcon={<Delete />} onClick={onDelete} sx={{ borderRadius: 2 }}>
+            Delete
+          </Button>
+        </Box>
+      ))}
+
+      {pin.uid && !isOwner && (
+        <Button
+          size="small"
+          startIcon={<ChatBubbleOutline />}
+          onClick={onMessage}
+          sx={{ mt: 1, borderRadius: 2 }}
+        >
+          Message {pin.user || 'member'}
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default MapPinPopup;
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { Autocomplete, Box, CircularProgress, TextField, Typography } from '@mui/material';
+import { LocationOn } from '@mui/icons-material';
+import { getGeocoder } from '../geocoding';
+
+const SEARCH_DELAY = 500;
+const MIN_QUERY_LENGTH = 3;
+
+// Address and place search with suggestions. `onSelect(place)` receives a
+// geocoder place ({ name, label, lat, lng }).
+const MapPlaceSearch = ({ onSelect, onError }) => {
+  const [query, setQuery] = useState('');
+  const [options, setOptions] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  // Ask the geocoder after a pause in typing; a newer query aborts the older request
+  useEffect(() => {
+    if (query.trim().length < MIN_QUERY_LENGTH) {
+      // An aborted search never clears its own spinner
+      setOptions([]);
+      setSearching(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        setOptions(await getGeocoder().search(query, { signal: controller.signal }));
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          console.error('Place search error:', err);
+          onError('Place search is unavailable right now');
+        }
+      } finally {
+        if (!controller.signal.aborted) setSearching(false);
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, onError]);
+
+  return (
+    <Autocomplete
+      options={options}
+      filterOptions={(items) => items}
+      getOptionLabel={(place) => place.label}
+      isOptionEqualToValue={(place, value) => place.id === value.id}
+      loading={searching}
+      noOptionsText={query.trim().length < MIN_QUERY_LENGTH ? 'Type a place or address' : 'No places found'}
+      onInputChange={(e, value, reason) => {
+        // Picking an option fills in its label; that isn't a new search
+        if (reason !== 'reset') setQuery(value);
+      }}
+      onChange={(e, place) => {
+        if (place) onSelect(place);
+      }}
+      renderOption={({ key, ...props }, place) => (
+        <Box component="li" key={key} {...props} sx={{ display: 'flex', gap: 1 }}>
+          <LocationOn fontSize="small" sx={{ color: 'text.secondary' }} />
+          <Box sx={{ minWidth: 0 }}>
+            <Typography variant="body2" noWrap>{place.name}</Typography>
+            <Typography variant="caption" noWrap component="div" sx={{ color: 'text.secondary' }}>
+              {place.label}
+            </Typography>
+          </Box>
+        </Box>
+      )}
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          label="Search for a place"
+          InputProps={{
+            ...params.InputProps,
+            sx: { borderRadius: 2 },
+            endAdornment: (
+              <>
+                {searching && <CircularProgress size={18} />}
+                {params.InputProps.endAdornment}
+              </>
+            ),
+          }}
+        />
+      )}
+    />
+  );
+};
+
+export default MapPlaceSearch;
@@ -1,11 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { 
   AppBar, Toolbar, Typography, Button, IconButton, Menu, 
-  MenuItem, Avatar, useTheme, useMediaQuery, Box, CssBaseline
+  MenuItem, Avatar, useTheme, useMediaQuery, Box, CssBaseline, Badge
 } from '@mui/material';
 import { Link, useLocation } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { logout } from '../redux/authSlice';
+import { clearOutboxEntries } from '../utils/outbox';
+import { selectTotalUnread } from '../redux/chatSlice';
 import { auth } from '../firebase';
 import { Menu as MenuIcon, Close, Settings } from '@mui/icons-material';
 import { motion } from 'framer-motion';
@@ -17,6 +19,7 @@ const Navbar = () => {
   const [mobileOpen, setMobileOpen] = useState(false);
   const [anchorEl, setAnchorEl] = useState(null);
   const user = useSelector(state => state.auth.user);
+  const unreadCount = useSelector(selectTotalUnread);
   const location = useLocation();
   const appBarRef = useRef(null);
   const dispatch = useDispatch();
@@ -44,7 +47,7 @@ const Navbar = () => {
     { label: 'Content', path: '/content', icon: '🎬' },
     { label: 'Map', path: '/map', icon: '📍' },
     { label: 'Action', path: '/action', protected: true, icon: '⚡' },
-    { label: 'Community', path: '/chat', protected: true, icon: '💬' },
+    { label: 'Community', path: '/chat', protected: true, icon: '💬', badge: unreadCount },
   ];
 
   const handleMobileToggle = () => setMobileOpen(!mobileOpen);
@@ -53,6 +56,8 @@ const Navbar = () => {
 
   const handleLogout = async () => {
     try {
+      // Unsent messages must not be delivered by whoever signs in next
+      await clearOutboxEntries(auth.currentUser?.uid).catch(() => {});
       await auth.signOut();
       dispatch(logout());
     } catch (err) {
@@ -149,7 +154,9 @@ const Navbar = () => {
                       transition: 'all 0.3s ease',
                     }}
                   >
-                    {link.label}
+                    <Badge badgeContent={link.badge || 0} color="secondary" max={99} sx={{ '& .MuiBadge-badge': { right: -10 } }}>
+                      {link.label}
+                    </Badge>
                   </Button>
                 )
               ))}
@@ -313,7 +320,9 @@ const Navbar = () => {
                     }}
                     onClick={handleMobileToggle}
                   >
-                    {link.label}
+                    <Badge badgeContent={link.badge || 0} color="secondary" max={99} sx={{ '& .MuiBadge-badge': { right: -10 } }}>
+                      {link.label}
+                    </Badge>
                   </Button>
                 )
               ))}
@@ -5,6 +5,7 @@ import { auth } from '../firebase';
 import { updateProfile, updatePassword, updateEmail } from 'firebase/auth';
 import { useDispatch, useSelector } from 'react-redux';
 import { setUser } from '../redux/authSlice';
+import { uploadToCloudinary } from '../utils/cloudinaryUpload';
 import CloudUploadIcon from '@mui/icons-material/CloudUpload';
 
 const Settings = () => {
@@ -22,16 +23,8 @@ const Settings = () => {
     if (!file) return;
     setUploading(true);
     try {
-      // Upload file to Cloudinary (replace with your Cloudinary credentials)
-      const formData = new FormData();
-      formData.append('file', file);
-      formData.append('upload_preset', 'ml_default'); // Use your Cloudinary preset
-        const response = await fetch(
-          `https://api.cloudinary.com/v1_1/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload`,
-          { method: 'POST', body: formData }
-        );
-
-      const data = await response.json();
+      // Upload file to Cloudinary
+      const data = await uploadToCloudinary(file);
       const imageUrl = data.secure_url;
 
       // Update the user's profile with the new photoURL
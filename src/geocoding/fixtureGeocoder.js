@@ -0,0 +1,37 @@
+// src/geocoding/fixtureGeocoder.js
+import { distanceKm } from '../utils/geo';
+
+// A handful of places so search and place names work in tests and offline
+// development without calling a real geocoding service
+export const FIXTURE_PLACES = [
+  { id: 'fixture-1', name: 'Mission District, San Francisco', label: 'Mission District, San Francisco, California, United States', lat: 37.7599, lng: -122.4148 },
+  { id: 'fixture-2', name: 'Brooklyn, New York', label: 'Brooklyn, New York, United States', lat: 40.6782, lng: -73.9442 },
+  { id: 'fixture-3', name: 'Camden Town, London', label: 'Camden Town, London, England, United Kingdom', lat: 51.5390, lng: -0.1426 },
+  { id: 'fixture-4', name: 'Kreuzberg, Berlin', label: 'Kreuzberg, Berlin, Germany', lat: 52.4986, lng: 13.4030 },
+  { id: 'fixture-5', name: 'Le Marais, Paris', label: 'Le Marais, Paris, Île-de-France, France', lat: 48.8590, lng: 2.3622 },
+  { id: 'fixture-6', name: 'Shibuya, Tokyo', label: 'Shibuya, Tokyo, Japan', lat: 35.6618, lng: 139.7041 },
+  { id: 'fixture-7', name: 'Bandra, Mumbai', label: 'Bandra, Mumbai, Maharashtra, India', lat: 19.0596, lng: 72.8295 },
+  { id: 'fixture-8', name: 'Koramangala, Bengaluru', label: 'Koramangala, Bengaluru, Karnataka, India', lat: 12.9352, lng: 77.6245 },
+  { id: 'fixture-9', name: 'Surry Hills, Sydney', label: 'Surry Hills, Sydney, New South Wales, Australia', lat: -33.8886, lng: 151.2094 },
+  { id: 'fixture-10', name: 'Kilimani, Nairobi', label: 'Kilimani, Nairobi, Kenya', lat: -1.2921, lng: 36.7856 },
+  { id: 'fixture-11', name: 'Palermo, Buenos Aires', label: 'Palermo, Buenos Aires, Argentina', lat: -34.5889, lng: -58.4306 },
+  { id: 'fixture-12', name: 'Plateau Mont-Royal, Montreal', label: 'Plateau Mont-Royal, Montreal, Quebec, Canada', lat: 45.5236, lng: -73.5817 },
+];
+
+// Places further than this from every fixture have no name
+const MAX_REVERSE_KM = 25;
+
+export const createFixtureGeocoder = ({ places = FIXTURE_PLACES } = {}) => ({
+  async search(query, { limit }) {
+    const terms = query.toLowerCase().split(/\s+/);
+    return places
+      .filter((place) => terms.every((term) => place.label.toLowerCase().includes(term)))
+      .slice(0, limit);
+  },
+  async reverse(location) {
+    const [nearest] = places
+      .map((place) => ({ place, km: distanceKm(location, place) }))
+      .sort((a, b) => a.km - b.km);
+    return nearest && nearest.km <= MAX_REVERSE_KM ? nearest.place : null;
+  },
+});
@@ -0,0 +1,58 @@
+// src/geocoding/index.js
+import { createNominatimGeocoder } from './nominatimGeocoder';
+import { createFixtureGeocoder } from './fixtureGeocoder';
+
+const PROVIDERS = {
+  nominatim: createNominatimGeocoder,
+  fixture: createFixtureGeocoder,
+};
+
+// Wraps a geocoding provider with input checks and a reverse lookup cache.
+// Places are { id, name, label, lat, lng }: `name` is short enough to show on
+// a pin ("Mission District, San Francisco") and `label` is the full address.
+//
+//   const places = await geocoder.search('harbour', { signal });
+//   const place = await geocoder.reverse({ lat, lng }); // or null
+export const createGeocoder = ({ provider = 'nominatim', ...options } = {}) => {
+  const factory = PROVIDERS[provider];
+  if (!factory) throw new Error(`Unknown geocoder "${provider}"`);
+
+  const adapter = factory(options);
+  const reverseCache = new Map(); // rounded "lat,lng" -> Promise<place | null>
+
+  return {
+    search(query, { limit = 5, signal } = {}) {
+      const text = query.trim();
+      if (!text) return Promise.resolve([]);
+      return adapter.search(text, { limit, signal });
+    },
+    reverse({ lat, lng }) {
+      // ~10 m apart is the same place
+      const key = `${lat.toFixed(4)},${lng.toFixed(4)}`;
+      if (!reverseCache.has(key)) {
+        const request = adapter.reverse({ lat, lng }).catch((error) => {
+          reverseCache.delete(key);
+          throw error;
+        });
+        reverseCache.set(key, request);
+      }
+      return reverseCache.get(key);
+    },
+  };
+};
+
+const env = import.meta.env;
+
+let sharedGeocoder = null;
+
+// App-wide geocoder configured from VITE_GEOCODER_* environment variables;
+// set VITE_GEOCODER=fixture to work offline against a few built-in places
+export const getGeocoder = () => {
+  if (!sharedGeocoder) {
+    sharedGeocoder = createGeocoder({
+      provider: env.VITE_GEOCODER || 'nominatim',
+      url: env.VITE_GEOCODER_URL,
+    });
+  }
+  return sharedGeocoder;
+};
@@ -0,0 +1,48 @@
+// src/geocoding/nominatimGeocoder.js
+import axios from 'axios';
+
+const DEFAULT_URL = 'https://nominatim.openstreetmap.org';
+// Reverse lookups stop at suburb level, so a pin's name never gives away a
+// street address
+const REVERSE_ZOOM = 14;
+
+const shortName = (address = {}, fallback = '') => {
+  const area = address.neighbourhood || address.suburb || address.city_district || address.quarter;
+  const town = address.city || address.town || address.village || address.municipality || address.county;
+  const parts = [area, town].filter(Boolean);
+  if (!parts.length && address.country) parts.push(address.state || address.country);
+  return parts.join(', ') || fallback.split(',').slice(0, 2).join(',').trim();
+};
+
+const toPlace = (item) => ({
+  id: String(item.place_id),
+  name: item.name || shortName(item.address, item.display_name),
+  label: item.display_name,
+  lat: Number(item.lat),
+  lng: Number(item.lon),
+});
+
+// Geocoder for the Nominatim API or any server compatible with it (e.g. a
+// self-hosted instance at `url`). The public server allows about one request
+// per second, so callers should debounce searches.
+export const createNominatimGeocoder = ({ url = DEFAULT_URL } = {}) => {
+  const client = axios.create({
+    baseURL: url,
+    params: { format: 'jsonv2', 'accept-language': navigator.language },
+  });
+
+  return {
+    async search(query, { limit, signal }) {
+      const response = await client.get('/search', { params: { q: query, limit, addressdetails: 1 }, signal });
+      return response.data.map(toPlace);
+    },
+    async reverse({ lat, lng }) {
+      const response = await client.get('/reverse', { params: { lat, lon: lng, zoom: REVERSE_ZOOM } });
+      if (response.data.error) return null;
+      return {
+        ...toPlace(response.data),
+        name: shortName(response.data.address, response.data.display_name),
+      };
+    },
+  };
+};
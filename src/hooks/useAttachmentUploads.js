@@ -0,0 +1,92 @@
+// src/hooks/useAttachmentUploads.js
+import { useState, useCallback, useRef } from 'react';
+import { isCloudinaryUrl, uploadToCloudinary } from '../utils/cloudinaryUpload';
+import { MAX_ATTACHMENTS, createClientId, getAttachmentKind } from '../utils/chat';
+
+// Uploads files picked in a chat composer as soon as they are chosen, so the
+// message can be sent with plain attachment URLs. `onError` receives
+// validation and upload errors.
+const useAttachmentUploads = ({ onError } = {}) => {
+  const [uploads, setUploads] = useState([]);
+  // Mirrors uploads.length so limits can be checked outside a state updater
+  const countRef = useRef(0);
+
+  const updateUpload = (id, changes) => {
+    setUploads(prev => prev.map((upload) => (upload.id === id ? { ...upload, ...changes } : upload)));
+  };
+
+  const addFiles = useCallback((files) => {
+    const picked = Array.from(files);
+    const room = MAX_ATTACHMENTS - countRef.current;
+    if (picked.length > room) onError?.(`You can attach up to ${MAX_ATTACHMENTS} files per message`);
+
+    const accepted = [];
+    const acceptedFiles = [];
+    picked.slice(0, Math.max(room, 0)).forEach((file) => {
+      try {
+        accepted.push({
+          id: createClientId(),
+          name: file.name,
+          kind: getAttachmentKind(file),
+          progress: 0,
+          status: 'uploading',
+        });
+        acceptedFiles.push(file);
+      } catch (err) {
+        onError?.(err.message);
+      }
+    });
+    if (accepted.length === 0) return;
+
+    countRef.current += accepted.length;
+    setUploads(prev => [...prev, ...accepted]);
+
+    accepted.forEach((upload, index) => {
+      const file = acceptedFiles[index];
+      uploadToCloudinary(file, {
+        resourceType: upload.kind === 'image' ? 'image' : 'auto',
+        onProgress: (progress) => updateUpload(upload.id, { progress }),
+      })
+        .then((data) => {
+          if (!isCloudinaryUrl(data.secure_url)) throw new Error('Upload returned an unexpected file address');
+          updateUpload(upload.id, {
+            status: 'done',
+            progress: 100,
+            attachment: {
+              kind: upload.kind,
+              url: data.secure_url,
+              name: file.name,
+              mimeType: file.type,
+              size: data.bytes || file.size,
+              ...(data.width && { width: data.width, height: data.height }),
+            },
+          });
+        })
+        .catch((err) => {
+          updateUpload(upload.id, { status: 'failed' });
+          onError?.(`${file.name}: ${err.message}`);
+        });
+    });
+  }, [onError]);
+
+  const removeUpload = useCallback((id) => {
+    countRef.current -= 1;
+    setUploads(prev => prev.filter((upload) => upload.id !== id));
+  }, []);
+
+  const clearUploads = useCallback(() => {
+    countRef.current = 0;
+    setUploads([]);
+  }, []);
+
+  return {
+    uploads,
+    attachments: uploads.filter((upload) => upload.status === 'done').map((upload) => upload.attachment),
+    uploading: uploads.some((upload) => upload.status === 'uploading'),
+    addFiles,
+    removeUpload,
+    clearUploads,
+  };
+};
+
+export default useAttachmentUploads;
@@ -0,0 +1,78 @@
+// src/hooks/useChatUnread.js
+import { useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  DEFAULT_ROOM_ID,
+  roomChannelName,
+  setRooms,
+  setConversations,
+  addRoom,
+  setReadState,
+  incrementUnread
+} from '../redux/chatSlice';
+import { fetchRooms, fetchConversations, fetchReadState } from '../utils/api';
+import { getRealtimeClient } from '../realtime';
+
+// Loads the signed-in user's rooms and keeps their unread counts current on
+// every page, so the navbar can show them. Counts start from the server's read
+// state and grow with other people's messages in rooms that aren't open.
+const useChatUnread = () => {
+  const uid = useSelector((state) => state.auth.user?.uid);
+  const rooms = useSelector((state) => state.chat.rooms);
+  const activeRoomId = useSelector((state) => state.chat.activeRoomId);
+  const activeRoomRef = useRef(activeRoomId);
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    activeRoomRef.current = activeRoomId;
+  }, [activeRoomId]);
+
+  // Room list (public cause rooms are available even if this fails), direct
+  // message conversations and read state. Conversations other people start
+  // with us arrive on our private user channel.
+  useEffect(() => {
+    if (!uid) return;
+
+    fetchRooms()
+      .then((data) => dispatch(setRooms(data)))
+      .catch(() => {});
+    fetchConversations()
+      .then((data) => dispatch(setConversations(data)))
+      .catch(() => {});
+    fetchReadState()
+      .then((data) => dispatch(setReadState(data)))
+      .catch(() => {});
+
+    const subscription = getRealtimeClient().subscribe(`private-user-${uid}`, {
+      conversation: (conversation) => dispatch(addRoom({ ...conversation, type: 'dm' })),
+    });
+
+    return () => subscription.unsubscribe();
+  }, [uid, dispatch]);
+
+  // Resubscribe only when the set of channels changes. Room updates (mutes,
+  // announcements, ...) replace the room objects, and tearing every channel
+  // down for those would drop messages sent in between.
+  const channels = JSON.stringify(rooms.map((room) => [room.id, roomChannelName(room)]));
+
+  useEffect(() => {
+    if (!uid) return;
+    const realtime = getRealtimeClient();
+
+    const subscriptions = JSON.parse(channels).map(([roomId, channelName]) => realtime.subscribe(channelName, {
+      message: (message) => {
+        const messageRoomId = message.roomId || DEFAULT_ROOM_ID;
+        if (messageRoomId !== roomId || messageRoomId === activeRoomRef.current) return;
+        // Thread replies aren't in the timeline, so they don't count as unread
+        if (message.uid === uid || message.parentId) return;
+        dispatch(incrementUnread(messageRoomId));
+      },
+    }));
+
+    return () => {
+      subscriptions.forEach((subscription) => subscription.unsubscribe());
+    };
+  }, [channels, uid, dispatch]);
+};
+
+export default useChatUnread;
@@ -0,0 +1,54 @@
+// src/hooks/useMapPins.js
+import { useState, useEffect, useCallback } from 'react';
+import { cachePin, cachedPins, loadTile, tileZoomFor, tilesInBounds, uncachePin } from '../utils/mapTiles';
+
+// Pins inside the map viewport. Call `setViewport({ bounds, zoom })` whenever
+// the map stops moving; cached tiles are shown straight away, and missing or
+// stale ones are fetched. `bounds` is { south, west, north, east }.
+const useMapPins = ({ onError }) => {
+  const [viewport, setViewport] = useState(null);
+  const [pins, setPins] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!viewport) return;
+    let cancelled = false;
+    const keys = tilesInBounds(viewport.bounds, tileZoomFor(viewport.zoom));
+
+    // Show what we already have straight away
+    setPins(cachedPins(keys));
+    setLoading(true);
+
+    Promise.allSettled(keys.map(loadTile)).then((results) => {
+      if (cancelled) return;
+      if (results.some((result) => result.status === 'rejected')) onError('Failed to load map data');
+      setPins(cachedPins(keys));
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [viewport, onError]);
+
+  const addPin = useCallback((pin) => {
+    cachePin(pin);
+    setPins((prev) => [...prev, pin]);
+  }, []);
+
+  // A moved pin may belong to different tiles now
+  const updatePin = useCallback((pin) => {
+    uncachePin(pin._id);
+    cachePin(pin);
+    setPins((prev) => prev.map((item) => (item._id === pin._id ? pin : item)));
+  }, []);
+
+  const removePin = useCallback((pinId) => {
+    uncachePin(pinId);
+    setPins((prev) => prev.filter((item) => item._id !== pinId));
+  }, []);
+
+  return { pins, loading, setViewport, addPin, updatePin, removePin };
+};
+
+export default useMapPins;
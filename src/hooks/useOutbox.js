@@ -0,0 +1,117 @@
+// src/hooks/useOutbox.js
+import { useEffect, useRef, useCallback } from 'react';
+import { sendChatMessage } from '../utils/api';
+import {
+  putOutboxEntry,
+  deleteOutboxEntry,
+  getOutboxEntry,
+  getOutboxEntries
+} from '../utils/outbox';
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+// Client errors will not succeed on retry, except timeouts and rate limiting
+const isPermanentFailure = (error) => (
+  error?.status >= 400 && error.status < 500 && ![408, 429].includes(error.status)
+);
+
+const backoffDelay = (attempts) => (
+  Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1)) + Math.random() * 500
+);
+
+// Delivers the signed-in user's queued chat messages with retry and exponential
+// backoff. Entries are persisted so messages written offline survive a reload;
+// other users' entries in the same browser are left alone.
+//   onDelivered(clientId, savedMessage) — the server accepted the message
+//   onStatusChange(clientId, status)    — 'pending' or 'failed'
+const useOutbox = ({ uid, onDelivered, onStatusChange }) => {
+  const timersRef = useRef({});
+  const inFlightRef = useRef(new Set());
+  const callbacksRef = useRef({ onDelivered, onStatusChange });
+
+  useEffect(() => {
+    callbacksRef.current = { onDelivered, onStatusChange };
+  }, [onDelivered, onStatusChange]);
+
+  const deliver = useCallback(async (entry) => {
+    const { clientId } = entry;
+    clearTimeout(timersRef.current[clientId]);
+    delete timersRef.current[clientId];
+
+    // Offline entries stay pending until the browser reports it is back online
+    if (inFlightRef.current.has(clientId) || !navigator.onLine) return;
+
+    inFlightRef.current.add(clientId);
+    try {
+      const saved = await sendChatMessage(entry.payload);
+      await deleteOutboxEntry(clientId).catch(() => {});
+      callbacksRef.current.onDelivered(clientId, saved);
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+      const failed = attempts >= MAX_ATTEMPTS || isPermanentFailure(error);
+      const next = { ...entry, attempts, status: failed ? 'failed' : 'pending' };
+      await putOutboxEntry(next).catch(() => {});
+      callbacksRef.current.onStatusChange(clientId, next.status);
+      if (!failed) {
+        timersRef.current[clientId] = setTimeout(() => deliver(next), backoffDelay(attempts));
+      }
+    } finally {
+      inFlightRef.current.delete(clientId);
+    }
+  }, []);
+
+  const flush = useCallback(async () => {
+    if (!uid) return;
+    const entries = await getOutboxEntries().catch(() => []);
+    entries
+      .filter((entry) => entry.uid === uid && entry.status === 'pending')
+      .forEach(deliver);
+  }, [uid, deliver]);
+
+  // Retry anything left over from a previous session, and again on reconnect
+  useEffect(() => {
+    const timers = timersRef.current;
+    flush();
+    window.addEventListener('online', flush);
+
+    return () => {
+      window.removeEventListener('online', flush);
+      Object.values(timers).forEach(clearTimeout);
+    };
+  }, [flush]);
+
+  const enqueue = useCallback(async (payload) => {
+    const entry = {
+      clientId: payload.clientId,
+      uid,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      createdAt: Date.now(),
+    };
+    await putOutboxEntry(entry).catch(() => {});
+    deliver(entry);
+  }, [uid, deliver]);
+
+  // Manual resend of a message that gave up retrying
+  const retry = useCallback(async (clientId) => {
+    const entry = await getOutboxEntry(clientId).catch(() => null);
+    if (!entry || entry.uid !== uid) return;
+    const next = { ...entry, status: 'pending', attempts: 0 };
+    await putOutboxEntry(next).catch(() => {});
+    callbacksRef.current.onStatusChange(clientId, 'pending');
+    deliver(next);
+  }, [uid, deliver]);
+
+  // Queued messages for a room, so they can be shown after its history loads
+  const getQueued = useCallback(async (roomId) => {
+    const entries = await getOutboxEntries().catch(() => []);
+    return entries.filter((entry) => entry.uid === uid && entry.payload.roomId === roomId);
+  }, [uid]);
+
+  return { enqueue, retry, getQueued };
+};
+
+export default useOutbox;
@@ -0,0 +1,111 @@
+// src/hooks/useRoomPresence.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getRealtimeClient } from '../realtime';
+
+const TYPING_THROTTLE_MS = 2000;
+const TYPING_TIMEOUT_MS = 3500;
+
+const toMember = (member) => ({
+  id: member.id,
+  user: member.info?.user || 'Member',
+  photoURL: member.info?.photoURL || '',
+  status: 'online',
+});
+
+// Tracks who is in a room (online/away) and who is typing, using a presence
+// channel. Client events (`client-*`) are relayed to the other members directly.
+const useRoomPresence = (roomId) => {
+  const [members, setMembers] = useState([]);
+  const [typingUsers, setTypingUsers] = useState({});
+  const subscriptionRef = useRef(null);
+  const meRef = useRef(null);
+  const lastTypingSentRef = useRef(0);
+  const typingTimersRef = useRef({});
+
+  useEffect(() => {
+    const typingTimers = typingTimersRef.current;
+    let subscription = null;
+
+    const currentStatus = () => (document.visibilityState === 'hidden' ? 'away' : 'online');
+    const broadcastStatus = () => {
+      if (!meRef.current || !subscription) return;
+      const status = currentStatus();
+      subscription.trigger('client-status', { id: meRef.current, status });
+      setMembers(prev => prev.map(m => (m.id === meRef.current ? { ...m, status } : m)));
+    };
+
+    const stopTyping = (id) => {
+      clearTimeout(typingTimers[id]);
+      delete typingTimers[id];
+      setTypingUsers(prev => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+    };
+
+    subscription = getRealtimeClient().subscribe(`presence-chat-${roomId}`, {
+      'presence:subscribed': ({ members: list, me }) => {
+        meRef.current = me?.id || null;
+        setMembers(list.map(toMember));
+        if (currentStatus() === 'away') broadcastStatus();
+      },
+      'presence:member-added': (member) => {
+        setMembers(prev => [...prev.filter(m => m.id !== member.id), toMember(member)]);
+        // Newcomers assume everyone is online, so re-announce if we are away
+        if (currentStatus() === 'away') broadcastStatus();
+      },
+      'presence:member-removed': (member) => {
+        setMembers(prev => prev.filter(m => m.id !== member.id));
+        stopTyping(member.id);
+      },
+      'client-status': ({ id, status }) => {
+        setMembers(prev => prev.map(m => (m.id === id ? { ...m, status } : m)));
+      },
+      'client-typing': ({ id, user, typing }) => {
+        if (!typing) {
+          stopTyping(id);
+          return;
+        }
+        clearTimeout(typingTimers[id]);
+        typingTimers[id] = setTimeout(() => stopTyping(id), TYPING_TIMEOUT_MS);
+        setTypingUsers(prev => (prev[id] === user ? prev : { ...prev, [id]: user }));
+      },
+    });
+    subscriptionRef.current = subscription;
+
+    document.addEventListener('visibilitychange', broadcastStatus);
+
+    return () => {
+      document.removeEventListener('visibilitychange', broadcastStatus);
+      Object.values(typingTimers).forEach(clearTimeout);
+      typingTimersRef.current = {};
+      subscription.unsubscribe();
+      subscriptionRef.current = null;
+      meRef.current = null;
+      lastTypingSentRef.current = 0;
+      setMembers([]);
+      setTypingUsers({});
+    };
+  }, [roomId]);
+
+  // Call on every keystroke; at most one event is sent per throttle window
+  const notifyTyping = useCallback((user) => {
+    const subscription = subscriptionRef.current;
+    const now = Date.now();
+    if (!subscription || !meRef.current || now - lastTypingSentRef.current < TYPING_THROTTLE_MS) return;
+    lastTypingSentRef.current = now;
+    subscription.trigger('client-typing', { id: meRef.current, user, typing: true });
+  }, []);
+
+  const notifyStoppedTyping = useCallback(() => {
+    const subscription = subscriptionRef.current;
+    if (!subscription || !meRef.current || !lastTypingSentRef.current) return;
+    lastTypingSentRef.current = 0;
+    subscription.trigger('client-typing', { id: meRef.current, typing: false });
+  }, []);
+
+  return { members, typingUsers, notifyTyping, notifyStoppedTyping };
+};
+
+export default useRoomPresence;
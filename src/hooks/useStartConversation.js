@@ -0,0 +1,41 @@
+// src/hooks/useStartConversation.js
+import { useCallback } from 'react';
+import { useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { auth } from '../firebase';
+import { addRoom } from '../redux/chatSlice';
+import { openConversation } from '../utils/api';
+
+export const MAX_CONVERSATION_MEMBERS = 8;
+
+// Opens (or reuses) a direct message conversation with the given people and
+// navigates to it. `people` is a list of { uid, user, photoURL }.
+const useStartConversation = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  return useCallback(async (people) => {
+    const me = auth.currentUser;
+    if (!me) {
+      navigate('/login');
+      return;
+    }
+
+    const others = people.filter((person) => person.uid && person.uid !== me.uid);
+    if (others.length === 0) return;
+    if (others.length + 1 > MAX_CONVERSATION_MEMBERS) {
+      throw new Error(`Conversations are limited to ${MAX_CONVERSATION_MEMBERS} people`);
+    }
+
+    const members = [
+      { uid: me.uid, user: me.displayName || me.email, photoURL: me.photoURL || '' },
+      ...others.map(({ uid, user, photoURL }) => ({ uid, user, photoURL: photoURL || '' })),
+    ];
+    const conversation = await openConversation({ members });
+    const id = conversation.id || conversation._id;
+    dispatch(addRoom({ ...conversation, type: 'dm' }));
+    navigate(`/chat/${id}`);
+  }, [dispatch, navigate]);
+};
+
+export default useStartConversation;
@@ -0,0 +1,26 @@
+// src/realtime/channel.js
+
+// Minimal channel used by transports that do their own event dispatch.
+// `send(channelName, event, data)` delivers client-triggered events.
+export const createChannel = (name, send) => {
+  const handlers = new Map();
+
+  return {
+    name,
+    bind(event, handler) {
+      if (!handlers.has(event)) handlers.set(event, new Set());
+      handlers.get(event).add(handler);
+    },
+    unbind(event, handler) {
+      handlers.get(event)?.delete(handler);
+    },
+    trigger(event, data) {
+      send(name, event, data);
+    },
+    emit(event, data) {
+      handlers.get(event)?.forEach((handler) => handler(data));
+    },
+  };
+};
+
+export const isPresenceChannel = (name) => name.startsWith('presence-');
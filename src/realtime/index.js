@@ -0,0 +1,92 @@
+// src/realtime/index.js
+import { auth } from '../firebase';
+import { API_BASE_URL } from '../utils/api';
+import { getCachedIdToken } from '../utils/authToken';
+import { createPusherTransport } from './pusherTransport';
+import { createWebSocketTransport } from './websocketTransport';
+import { createMemoryTransport } from './memoryTransport';
+
+const TRANSPORTS = {
+  pusher: createPusherTransport,
+  websocket: createWebSocketTransport,
+  memory: createMemoryTransport,
+};
+
+// Profile sent when authorizing private and presence channels. It only fills
+// in presence info: the server authorizes the user named by the ID token.
+const getAuthParams = () => {
+  const user = auth.currentUser;
+  return {
+    uid: user?.uid || '',
+    user: user?.displayName || user?.email || '',
+    photoURL: user?.photoURL || '',
+  };
+};
+
+// Wraps a transport with reference-counted channels, so several components can
+// listen on the same channel and each only removes its own handlers.
+//
+//   const subscription = client.subscribe('chat', { message: onMessage });
+//   subscription.trigger('client-typing', data);
+//   subscription.unsubscribe();
+export const createRealtimeClient = ({ transport = 'pusher', ...options } = {}) => {
+  const factory = TRANSPORTS[transport];
+  if (!factory) throw new Error(`Unknown realtime transport "${transport}"`);
+
+  const adapter = factory({ getAuthParams, getAuthToken: getCachedIdToken, ...options });
+  const channels = new Map(); // name -> { channel, refs }
+
+  return {
+    transport: adapter,
+    subscribe(name, handlers = {}) {
+      let entry = channels.get(name);
+      if (!entry) {
+        entry = { channel: adapter.subscribe(name), refs: 0 };
+        channels.set(name, entry);
+      }
+      entry.refs += 1;
+
+      const { channel } = entry;
+      const bindings = Object.entries(handlers);
+      bindings.forEach(([event, handler]) => channel.bind(event, handler));
+
+      let active = true;
+      return {
+        trigger: (event, data) => channel.trigger(event, data),
+        unsubscribe: () => {
+          if (!active) return;
+          active = false;
+          bindings.forEach(([event, handler]) => channel.unbind(event, handler));
+          entry.refs -= 1;
+          if (entry.refs === 0 && channels.get(name) === entry) {
+            channels.delete(name);
+            adapter.unsubscribe(name);
+          }
+        },
+      };
+    },
+    disconnect() {
+      channels.clear();
+      adapter.disconnect();
+    },
+  };
+};
+
+const env = import.meta.env;
+
+let sharedClient = null;
+
+// App-wide client configured from VITE_REALTIME_* environment variables;
+// set VITE_REALTIME_TRANSPORT=memory to develop without the live service
+export const getRealtimeClient = () => {
+  if (!sharedClient) {
+    sharedClient = createRealtimeClient({
+      transport: env.VITE_REALTIME_TRANSPORT || 'pusher',
+      key: env.VITE_PUSHER_KEY || 'b499431d9b73ef39d7a6',
+      cluster: env.VITE_PUSHER_CLUSTER || 'ap2',
+      authEndpoint: `${API_BASE_URL}/pusher/auth`,
+      url: env.VITE_REALTIME_WS_URL,
+    });
+  }
+  return sharedClient;
+};
@@ -0,0 +1,71 @@
+// src/realtime/memoryTransport.js
+import { createChannel, isPresenceChannel } from './channel';
+
+// Channel name -> Set of { channel, member }, shared by every memory client on
+// the page so several clients can talk to each other without a server
+const hub = new Map();
+let nextConnectionId = 1;
+
+const subscribers = (name) => hub.get(name) || new Set();
+
+// Deliver to everyone on the channel except `sender`, like Pusher client events
+const deliver = (name, event, data, sender) => {
+  subscribers(name).forEach((entry) => {
+    if (entry.channel !== sender) entry.channel.emit(event, data);
+  });
+};
+
+// In-memory transport for tests and offline development. `publish` plays the
+// part of the server pushing an event to every subscriber.
+export const createMemoryTransport = ({ getAuthParams } = {}) => {
+  const connectionId = `memory-${nextConnectionId++}`;
+  const entries = new Map();
+
+  const currentMember = () => {
+    const params = getAuthParams ? getAuthParams() : {};
+    return {
+      id: params.uid || connectionId,
+      info: { user: params.user || 'Guest', photoURL: params.photoURL || '' },
+    };
+  };
+
+  const unsubscribe = (name) => {
+    const entry = entries.get(name);
+    if (!entry) return;
+    entries.delete(name);
+    subscribers(name).delete(entry);
+    if (isPresenceChannel(name)) {
+      deliver(name, 'presence:member-removed', entry.member, entry.channel);
+    }
+  };
+
+  return {
+    subscribe(name) {
+      const channel = createChannel(name, (channelName, event, data) => (
+        deliver(channelName, event, data, channel)
+      ));
+      const entry = { channel, member: currentMember() };
+      entries.set(name, entry);
+      if (!hub.has(name)) hub.set(name, new Set());
+      hub.get(name).add(entry);
+
+      // Announce asynchronously so callers can bind handlers first
+      if (isPresenceChannel(name)) {
+        setTimeout(() => {
+          if (!entries.has(name)) return;
+          const members = [...subscribers(name)].map((other) => other.member);
+          channel.emit('presence:subscribed', { members, me: entry.member });
+          deliver(name, 'presence:member-added', entry.member, channel);
+        }, 0);
+      }
+      return channel;
+    },
+    unsubscribe,
+    disconnect() {
+      [...entries.keys()].forEach(unsubscribe);
+    },
+    publish(name, event, data) {
+      deliver(name, event, data, null);
+    },
+  };
+};
@@ -0,0 +1,68 @@
+// src/realtime/pusherTransport.js
+import Pusher from 'pusher-js';
+
+// Pusher presence events, mapped onto the transport-neutral names
+const PRESENCE_EVENTS = {
+  'presence:subscribed': ['pusher:subscription_succeeded', (members) => {
+    const list = [];
+    members.each((member) => list.push({ id: member.id, info: member.info }));
+    return { members: list, me: members.me ? { id: members.me.id, info: members.me.info } : null };
+  }],
+  'presence:member-added': ['pusher:member_added', (member) => ({ id: member.id, info: member.info })],
+  'presence:member-removed': ['pusher:member_removed', (member) => ({ id: member.id, info: member.info })],
+};
+
+export const createPusherTransport = ({ key, cluster, authEndpoint, getAuthParams, getAuthToken }) => {
+  const pusher = new Pusher(key, {
+    cluster,
+    forceTLS: true,
+    // Private and presence channels are authorized by the backend, which
+    // verifies the member's ID token; the profile params are presence info
+    channelAuthorization: {
+      endpoint: authEndpoint,
+      transport: 'ajax',
+      paramsProvider: getAuthParams,
+      headersProvider: () => {
+        const token = getAuthToken?.();
+        return token ? { Authorization: `Bearer ${token}` } : {};
+      },
+    },
+  });
+
+  const wrapChannel = (channel) => {
+    const wrapped = new Map(); // handler -> { event: wrapper }
+
+    return {
+      name: channel.name,
+      bind(event, handler) {
+        const mapping = PRESENCE_EVENTS[event];
+        if (!mapping) {
+          channel.bind(event, handler);
+          return;
+        }
+        const [pusherEvent, transform] = mapping;
+        const wrapper = (data) => handler(transform(data));
+        wrapped.set(handler, { ...wrapped.get(handler), [event]: wrapper });
+        channel.bind(pusherEvent, wrapper);
+      },
+      unbind(event, handler) {
+        const mapping = PRESENCE_EVENTS[event];
+        if (!mapping) {
+          channel.unbind(event, handler);
+          return;
+        }
+        const wrapper = wrapped.get(handler)?.[event];
+        if (wrapper) channel.unbind(mapping[0], wrapper);
+      },
+      trigger(event, data) {
+        channel.trigger(event, data);
+      },
+    };
+  };
+
+  return {
+    subscribe: (name) => wrapChannel(pusher.subscribe(name)),
+    unsubscribe: (name) => pusher.unsubscribe(name),
+    disconnect: () => pusher.disconnect(),
+  };
+};
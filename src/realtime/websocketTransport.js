@@ -0,0 +1,83 @@
+// src/realtime/websocketTransport.js
+import { createChannel } from './channel';
+
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+// Plain WebSocket transport speaking a small JSON protocol:
+//   client -> server  { type: 'subscribe' | 'unsubscribe', channel, auth, token }
+//                     { type: 'event', channel, event, data }
+//   server -> client  { channel, event, data }
+// Presence servers send the transport-neutral `presence:*` events directly.
+export const createWebSocketTransport = ({ url, getAuthParams, getAuthToken }) => {
+  if (!url) throw new Error('The websocket realtime transport needs a url');
+
+  const channels = new Map();
+  let socket = null;
+  let retries = 0;
+  let reconnectTimer = null;
+  let closed = false;
+
+  const send = (frame) => {
+    if (socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(frame));
+    }
+  };
+
+  // `token` is the member's ID token, which the server verifies; `auth` is
+  // only their profile for presence
+  const subscribeFrame = (name) => ({
+    type: 'subscribe',
+    channel: name,
+    auth: getAuthParams(),
+    token: getAuthToken?.() || null,
+  });
+
+  const connect = () => {
+    socket = new WebSocket(url);
+
+    socket.onopen = () => {
+      retries = 0;
+      channels.forEach((channel, name) => send(subscribeFrame(name)));
+    };
+
+    socket.onmessage = (e) => {
+      let frame;
+      try {
+        frame = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      channels.get(frame.channel)?.emit(frame.event, frame.data);
+    };
+
+    socket.onclose = () => {
+      if (closed) return;
+      const delay = Math.min(MAX_RECONNECT_DELAY_MS, 1000 * 2 ** retries);
+      retries += 1;
+      reconnectTimer = setTimeout(connect, delay);
+    };
+  };
+
+  connect();
+
+  return {
+    subscribe(name) {
+      const channel = createChannel(name, (channelName, event, data) => (
+        send({ type: 'event', channel: channelName, event, data })
+      ));
+      channels.set(name, channel);
+      send(subscribeFrame(name));
+      return channel;
+    },
+    unsubscribe(name) {
+      channels.delete(name);
+      send({ type: 'unsubscribe', channel: name });
+    },
+    disconnect() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      channels.clear();
+      socket?.close();
+    },
+  };
+};
@@ -0,0 +1,134 @@
+// src/redux/chatSlice.js
+import { createSlice } from '@reduxjs/toolkit';
+import { logout } from './authSlice';
+
+export const DEFAULT_ROOM_ID = 'general';
+
+// Public cause rooms, always available even if the rooms API is unreachable
+export const PUBLIC_ROOMS = [
+  { id: 'general', name: 'General', description: 'Open conversation for everyone', type: 'public' },
+  { id: 'climate', name: 'Climate Action', description: 'Environment and sustainability', type: 'public' },
+  { id: 'education', name: 'Education', description: 'Learning and teaching initiatives', type: 'public' },
+  { id: 'health', name: 'Health', description: 'Wellbeing and public health', type: 'public' },
+  { id: 'social', name: 'Social Impact', description: 'Community and social causes', type: 'public' },
+];
+
+const normalizeRoom = (room) => ({
+  ...room,
+  id: room.id || room._id,
+  type: room.type || 'custom',
+});
+
+// The general room keeps the original global channel name; direct messages
+// use private channels that the backend only authorizes for members
+export const roomChannelName = (room) => {
+  if (room.type === 'dm') return `private-chat-${room.id}`;
+  return room.id === DEFAULT_ROOM_ID ? 'chat' : `chat-${room.id}`;
+};
+
+// Per-room restrictions set by moderators:
+//   room.muted  = { [uid]: { user, until } }
+//   room.banned = [{ uid, user }]
+export const isMutedIn = (room, uid) => {
+  const until = room?.muted?.[uid]?.until;
+  return Boolean(until && new Date(until) > new Date());
+};
+
+export const isBannedFrom = (room, uid) => Boolean(room?.banned?.some((member) => member.uid === uid));
+
+// Direct message conversations are named after the other members
+export const getRoomTitle = (room, uid) => {
+  if (!room) return '';
+  if (room.type !== 'dm') return room.name;
+  const others = (room.members || []).filter((member) => member.uid !== uid);
+  return others.map((member) => member.user).join(', ') || 'Just you';
+};
+
+const initialState = {
+  rooms: PUBLIC_ROOMS,
+  unread: {}, // roomId -> number of unseen messages
+  lastRead: {}, // roomId -> { messageId, readAt } of the last message the user saw
+  activeRoomId: null, // room open in the chat, which never collects unread messages
+};
+
+const chatSlice = createSlice({
+  name: 'chat',
+  initialState,
+  reducers: {
+    setRooms: (state, action) => {
+      const serverRooms = action.payload.map(normalizeRoom);
+      const serverIds = new Set(serverRooms.map((room) => room.id));
+      state.rooms = [
+        ...PUBLIC_ROOMS.filter((room) => !serverIds.has(room.id)),
+        ...serverRooms,
+        ...state.rooms.filter((room) => room.type === 'dm'),
+      ];
+    },
+    setConversations: (state, action) => {
+      state.rooms = [
+        ...state.rooms.filter((room) => room.type !== 'dm'),
+        ...action.payload.map((room) => normalizeRoom({ ...room, type: 'dm' })),
+      ];
+    },
+    addRoom: (state, action) => {
+      const room = normalizeRoom(action.payload);
+      if (!state.rooms.some((r) => r.id === room.id)) {
+        state.rooms.push(room);
+      }
+    },
+    updateRoom: (state, action) => {
+      const room = normalizeRoom(action.payload);
+      const index = state.rooms.findIndex((r) => r.id === room.id);
+      if (index !== -1) {
+        state.rooms[index] = { ...state.rooms[index], ...room, type: state.rooms[index].type };
+      }
+    },
+    incrementUnread: (state, action) => {
+      const roomId = action.payload;
+      state.unread[roomId] = (state.unread[roomId] || 0) + 1;
+    },
+    clearUnread: (state, action) => {
+      delete state.unread[action.payload];
+    },
+    setActiveRoom: (state, action) => {
+      state.activeRoomId = action.payload;
+    },
+    // Read state from the server: [{ roomId, messageId, readAt, unread }]
+    setReadState: (state, action) => {
+      action.payload.forEach(({ roomId, messageId, readAt, unread }) => {
+        const current = state.lastRead[roomId];
+        if (!current || new Date(readAt) > new Date(current.readAt)) {
+          state.lastRead[roomId] = { messageId, readAt };
+        }
+        if (roomId === state.activeRoomId) return;
+        if (unread > 0) state.unread[roomId] = unread;
+        else delete state.unread[roomId];
+      });
+    },
+    markRead: (state, action) => {
+      const { roomId, messageId, readAt } = action.payload;
+      state.lastRead[roomId] = { messageId, readAt };
+      delete state.unread[roomId];
+    },
+  },
+  extraReducers: (builder) => {
+    // Rooms, conversations and read state all belong to the signed-in user
+    builder.addCase(logout, () => initialState);
+  },
+});
+
+export const selectTotalUnread = (state) => Object.values(state.chat.unread)
+  .reduce((total, count) => total + count, 0);
+
+export const {
+  setRooms,
+  setConversations,
+  addRoom,
+  updateRoom,
+  incrementUnread,
+  clearUnread,
+  setActiveRoom,
+  setReadState,
+  markRead
+} = chatSlice.actions;
+export default chatSlice.reducer;
@@ -1,7 +1,8 @@
 // src/utils/api.js
 import axios from 'axios';
+import { getIdToken } from './authToken';
 
-const API_BASE_URL = "https://socio-99.onrender.com/api";
+export const API_BASE_URL = "https://socio-99.onrender.com/api";
 
 // Configure axios instance with default settings
 const apiClient = axios.create({
@@ -13,6 +14,14 @@ const apiClient = axios.create({
   }
 });
 
+// Every request carries the user's ID token; the server takes the caller's
+// identity from it rather than from uids in the query or body
+apiClient.interceptors.request.use(async (config) => {
+  const token = await getIdToken();
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
 // Response interceptor to handle errors globally
 apiClient.interceptors.response.use(
   (response) => {
@@ -55,15 +64,48 @@ export const fetchContent = async () => {
   }
 };
 
-export const fetchMapData = async () => {
+// With `bbox` ("west,south,east,north") only pins in that area are returned,
+// sampled by the server according to `zoom` so wide views stay small
+export const fetchMapData = async (params) => {
   try {
-    return await apiClient.get('/map');
+    return await apiClient.get('/map', { params });
   } catch (error) {
     console.error('Failed to fetch map data:', error);
     throw error;
   }
 };
 
+// Pins whose interest matches `q`, best match first. Searches every pin the
+// user may see, not just a viewport, so it never needs the whole dataset.
+export const searchMapPins = async (q, { limit } = {}) => {
+  try {
+    return await apiClient.get('/map/search', { params: { q, limit } });
+  } catch (error) {
+    console.error('Failed to search map pins:', error);
+    throw error;
+  }
+};
+
+// Every pin within `radiusKm` of { lat, lng }, unsampled at any distance, so
+// "near me" lists all of them and not just the viewport's share
+export const fetchNearbyPins = async ({ lat, lng, radiusKm }) => {
+  try {
+    return await apiClient.get('/map/nearby', { params: { lat, lng, radiusKm } });
+  } catch (error) {
+    console.error('Failed to fetch nearby pins:', error);
+    throw error;
+  }
+};
+
+export const fetchMapPin = async (pinId) => {
+  try {
+    return await apiClient.get(`/map/${pinId}`);
+  } catch (error) {
+    console.error('Failed to fetch map pin:', error);
+    throw error;
+  }
+};
+
 export const addUserLocation = async (data) => {
   try {
     return await apiClient.post('/map', data);
@@ -73,6 +115,25 @@ export const addUserLocation = async (data) => {
   }
 };
 
+// Pins can only be changed by their owner
+export const updateMapPin = async (pinId, data) => {
+  try {
+    return await apiClient.patch(`/map/${pinId}`, data);
+  } catch (error) {
+    console.error('Failed to update map pin:', error);
+    throw error;
+  }
+};
+
+export const deleteMapPin = async (pinId) => {
+  try {
+    return await apiClient.delete(`/map/${pinId}`);
+  } catch (error) {
+    console.error('Failed to delete map pin:', error);
+    throw error;
+  }
+};
+
 export const fetchActionHubData = async () => {
   try {
     return await apiClient.get('/action-hub');
@@ -82,4 +143,237 @@ export const fetchActionHubData = async () => {
   }
 };
 
+export const fetchRooms = async () => {
+  try {
+    return await apiClient.get('/rooms');
+  } catch (error) {
+    console.error('Failed to fetch rooms:', error);
+    throw error;
+  }
+};
+
+export const createRoom = async (data) => {
+  try {
+    return await apiClient.post('/rooms', data);
+  } catch (error) {
+    console.error('Failed to create room:', error);
+    throw error;
+  }
+};
+
+// The signed-in user's direct message conversations
+export const fetchConversations = async () => {
+  try {
+    return await apiClient.get('/conversations');
+  } catch (error) {
+    console.error('Failed to fetch conversations:', error);
+    throw error;
+  }
+};
+
+// Returns the existing conversation for these members or creates a new one
+export const openConversation = async (data) => {
+  try {
+    return await apiClient.post('/conversations', data);
+  } catch (error) {
+    console.error('Failed to open conversation:', error);
+    throw error;
+  }
+};
+
+// A page of a room's history, oldest first. `before` pages backwards from the
+// oldest message already loaded; `around` returns the page centred on a
+// message (used when jumping to a search result). `limit` caps the page size.
+export const fetchMessages = async (roomId, { before, around, limit } = {}) => {
+  try {
+    return await apiClient.get('/messages', { params: { roomId, before, around, limit } });
+  } catch (error) {
+    console.error('Failed to fetch messages:', error);
+    throw error;
+  }
+};
+
+export const fetchThreadReplies = async (messageId) => {
+  try {
+    return await apiClient.get(`/messages/${messageId}/replies`);
+  } catch (error) {
+    console.error('Failed to fetch thread replies:', error);
+    throw error;
+  }
+};
+
+export const sendChatMessage = async (data) => {
+  try {
+    return await apiClient.post('/send-message', data);
+  } catch (error) {
+    console.error('Failed to send message:', error);
+    throw error;
+  }
+};
+
+export const updateChatMessage = async (messageId, data) => {
+  try {
+    return await apiClient.patch(`/messages/${messageId}`, data);
+  } catch (error) {
+    console.error('Failed to update message:', error);
+    throw error;
+  }
+};
+
+export const deleteChatMessage = async (messageId) => {
+  try {
+    return await apiClient.delete(`/messages/${messageId}`);
+  } catch (error) {
+    console.error('Failed to delete message:', error);
+    throw error;
+  }
+};
+
+export const toggleMessageReaction = async (messageId, data) => {
+  try {
+    return await apiClient.post(`/messages/${messageId}/reactions`, data);
+  } catch (error) {
+    console.error('Failed to toggle reaction:', error);
+    throw error;
+  }
+};
+
+export const reportMessage = async (messageId, data) => {
+  try {
+    return await apiClient.post(`/messages/${messageId}/report`, data);
+  } catch (error) {
+    console.error('Failed to report message:', error);
+    throw error;
+  }
+};
+
+export const setMessageHidden = async (messageId, data) => {
+  try {
+    return await apiClient.post(`/messages/${messageId}/hide`, data);
+  } catch (error) {
+    console.error('Failed to update message visibility:', error);
+    throw error;
+  }
+};
+
+// action is one of 'mute', 'unmute', 'ban' or 'unban'
+export const moderateMember = async (roomId, data) => {
+  try {
+    return await apiClient.post(`/rooms/${roomId}/moderation`, data);
+  } catch (error) {
+    console.error('Failed to moderate member:', error);
+    throw error;
+  }
+};
+
+export const updateRoomSettings = async (roomId, data) => {
+  try {
+    return await apiClient.patch(`/rooms/${roomId}`, data);
+  } catch (error) {
+    console.error('Failed to update room settings:', error);
+    throw error;
+  }
+};
+
+export const fetchAuditLog = async (roomId) => {
+  try {
+    return await apiClient.get(`/rooms/${roomId}/audit-log`);
+  } catch (error) {
+    console.error('Failed to fetch audit log:', error);
+    throw error;
+  }
+};
+
+// Resolves { url, title, description, image, siteName } for a link in a message
+export const fetchLinkPreview = async (url) => {
+  try {
+    return await apiClient.get('/link-preview', { params: { url } });
+  } catch (error) {
+    console.error('Failed to fetch link preview:', error);
+    throw error;
+  }
+};
+
+// Search messages the user can see. `q` matches message text; `author`,
+// `from`/`to` (YYYY-MM-DD) and `roomId` narrow the results. Each result may
+// carry `context: { before, after }` with its neighbouring messages.
+export const searchMessages = async (params) => {
+  try {
+    return await apiClient.get('/messages/search', { params });
+  } catch (error) {
+    console.error('Failed to search messages:', error);
+    throw error;
+  }
+};
+
+export const fetchPinnedMessages = async (roomId) => {
+  try {
+    return await apiClient.get(`/rooms/${roomId}/pins`);
+  } catch (error) {
+    console.error('Failed to fetch pinned messages:', error);
+    throw error;
+  }
+};
+
+// Pinning and unpinning resolve with the room's updated list of pinned messages
+export const pinMessage = async (roomId, data) => {
+  try {
+    return await apiClient.post(`/rooms/${roomId}/pins`, data);
+  } catch (error) {
+    console.error('Failed to pin message:', error);
+    throw error;
+  }
+};
+
+export const unpinMessage = async (roomId, messageId) => {
+  try {
+    return await apiClient.delete(`/rooms/${roomId}/pins/${messageId}`);
+  } catch (error) {
+    console.error('Failed to unpin message:', error);
+    throw error;
+  }
+};
+
+// Replaces the user's votes with `optionIds` and resolves with the updated poll
+export const votePoll = async (messageId, data) => {
+  try {
+    return await apiClient.post(`/messages/${messageId}/vote`, data);
+  } catch (error) {
+    console.error('Failed to vote:', error);
+    throw error;
+  }
+};
+
+// Only the poll's author and the room's moderators may close it; the server
+// checks that against the caller's token
+export const closePoll = async (messageId) => {
+  try {
+    return await apiClient.post(`/messages/${messageId}/close-poll`);
+  } catch (error) {
+    console.error('Failed to close poll:', error);
+    throw error;
+  }
+};
+
+// The signed-in user's last-read message and unread count per room:
+// [{ roomId, messageId, readAt, unread }]
+export const fetchReadState = async () => {
+  try {
+    return await apiClient.get('/read-state');
+  } catch (error) {
+    console.error('Failed to fetch read state:', error);
+    throw error;
+  }
+};
+
+// Records `messageId` as the last message the user has read in a room
+export const markRoomRead = async (roomId, data) => {
+  try {
+    return await apiClient.post(`/rooms/${roomId}/read`, data);
+  } catch (error) {
+    console.error('Failed to mark room as read:', error);
+    throw error;
+  }
+};
+
 // Add other API calls as needed
\ No newline at end of file
@@ -0,0 +1,17 @@
+// src/utils/authToken.js
+import { onIdTokenChanged } from 'firebase/auth';
+import { auth } from '../firebase';
+
+// The signed-in user's Firebase ID token. The backend verifies it to find out
+// who is calling, so requests never need to name the user themselves.
+export const getIdToken = async () => (auth.currentUser ? auth.currentUser.getIdToken() : null);
+
+// Latest token for callers that can't wait for a promise (Pusher asks for its
+// channel auth headers synchronously). Firebase refreshes it before it expires.
+let latestToken = null;
+
+onIdTokenChanged(auth, async (user) => {
+  latestToken = user ? await user.getIdToken() : null;
+});
+
+export const getCachedIdToken = () => latestToken;
@@ -0,0 +1,61 @@
+// src/utils/chat.js
+
+// Stable React key for a message: optimistic messages keep their clientId after
+// the server copy replaces them, so the row is not remounted
+export const messageKey = (msg) => msg.clientId || msg._id;
+
+export const createClientId = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`
+);
+
+const isSameMessage = (a, b) => Boolean(
+  (a.clientId && a.clientId === b.clientId) || (a._id && a._id === b._id)
+);
+
+// Insert a message, or merge it into the copy we already have (e.g. the
+// realtime echo of a message we just sent)
+export const upsertMessage = (list, message) => {
+  const index = list.findIndex((msg) => isSameMessage(msg, message));
+  if (index === -1) return [...list, message];
+  const next = [...list];
+  next[index] = { ...list[index], ...message };
+  return next;
+};
+
+// The first message from someone else after the user's last-read one. When
+// that message isn't in the loaded page, the unread count says how far back to go.
+export const findFirstUnread = (messages, { messageId, unread = 0 } = {}, uid) => {
+  const readIndex = messageId ? messages.findIndex((msg) => msg._id === messageId) : -1;
+  if (readIndex !== -1) return messages.slice(readIndex + 1).find((msg) => msg.uid !== uid) || null;
+  return unread > 0 ? messages[Math.max(messages.length - unread, 0)] : null;
+};
+
+export const MAX_ATTACHMENTS = 4;
+
+// Allowed attachment types and their size limits
+const ATTACHMENT_RULES = {
+  image: { types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'], maxBytes: 5 * 1024 * 1024 },
+  file: { types: ['application/pdf'], maxBytes: 10 * 1024 * 1024 },
+};
+
+export const ACCEPTED_ATTACHMENT_TYPES = Object.values(ATTACHMENT_RULES)
+  .flatMap((rule) => rule.types)
+  .join(',');
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Returns the attachment kind ('image' or 'file') or throws a user-facing error
+export const getAttachmentKind = (file) => {
+  const kind = Object.keys(ATTACHMENT_RULES).find((key) => ATTACHMENT_RULES[key].types.includes(file.type));
+  if (!kind) throw new Error(`${file.name}: only images and PDFs can be attached`);
+  if (file.size > ATTACHMENT_RULES[kind].maxBytes) {
+    throw new Error(`${file.name} is larger than ${formatFileSize(ATTACHMENT_RULES[kind].maxBytes)}`);
+  }
+  return kind;
+};
@@ -0,0 +1,45 @@
+// src/utils/cloudinaryUpload.js
+import axios from 'axios';
+
+const CLOUD_NAME = import.meta.env.VITE_CLOUDINARY_CLOUD_NAME || 'dw8ursrnr';
+const UPLOAD_PRESET = import.meta.env.VITE_CLOUDINARY_UPLOAD_PRESET || 'ml_default';
+const DELIVERY_HOST = 'res.cloudinary.com';
+
+// Whether a URL points at a file delivered from our own Cloudinary cloud.
+// Attachment URLs come from message payloads, so anything else (including
+// javascript: links) must never be rendered.
+export const isCloudinaryUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:'
+      && url.hostname === DELIVERY_HOST
+      && url.pathname.startsWith(`/${CLOUD_NAME}/`);
+  } catch {
+    return false;
+  }
+};
+
+// Unsigned browser upload. `resourceType` 'auto' lets Cloudinary accept
+// documents such as PDFs as well as images. Resolves with Cloudinary's
+// upload response (secure_url, bytes, width, height, ...)
+export const uploadToCloudinary = async (file, { resourceType = 'image', onProgress } = {}) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('upload_preset', UPLOAD_PRESET);
+
+  try {
+    const response = await axios.post(
+      `https://api.cloudinary.com/v1_1/${CLOUD_NAME}/${resourceType}/upload`,
+      formData,
+      {
+        onUploadProgress: (event) => {
+          if (onProgress && event.total) onProgress(Math.round((event.loaded / event.total) * 100));
+        },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Cloudinary upload failed:', error);
+    throw new Error(error.response?.data?.error?.message || 'Upload failed');
+  }
+};
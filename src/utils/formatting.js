@@ -0,0 +1,127 @@
+// src/utils/formatting.js
+// Markdown-lite for chat messages. Text is parsed into plain tokens that
+// components render as React elements, so user input is never used as HTML.
+
+const URL_PATTERN = /https?:\/\/[^\s<]+[^\s<.,:;"')\]!?]/g;
+
+export const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a message into paragraphs, bullet/numbered lists and ``` code blocks
+export const parseBlocks = (text = '') => {
+  const blocks = [];
+  const lines = text.split('\n');
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (line.trim().startsWith('```')) {
+      const code = [];
+      index += 1;
+      while (index < lines.length && !lines[index].trim().startsWith('```')) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: 'code', text: code.join('\n') });
+      index += 1;
+      continue;
+    }
+
+    const listMatch = line.match(/^\s*([-*]|\d+\.)\s+(.*)$/);
+    if (listMatch) {
+      const ordered = /\d/.test(listMatch[1]);
+      const items = [];
+      while (index < lines.length) {
+        const item = lines[index].match(/^\s*([-*]|\d+\.)\s+(.*)$/);
+        if (!item || /\d/.test(item[1]) !== ordered) break;
+        items.push(item[2]);
+        index += 1;
+      }
+      blocks.push({ type: 'list', ordered, items });
+      continue;
+    }
+
+    if (!line.trim()) {
+      index += 1;
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      index < lines.length
+      && lines[index].trim()
+      && !lines[index].trim().startsWith('```')
+      && !/^\s*([-*]|\d+\.)\s+/.test(lines[index])
+    ) {
+      paragraph.push(lines[index]);
+      index += 1;
+    }
+    blocks.push({ type: 'paragraph', lines: paragraph });
+  }
+
+  return blocks;
+};
+
+// Split a line into text, `code`, **bold**, *italic*/_italic_, links and
+// @mentions. `mentionNames` are the display names that count as mentions.
+export const parseInline = (text, mentionNames = []) => {
+  const patterns = [
+    '`([^`\\n]+)`',
+    '\\*\\*([^\\n]+?)\\*\\*',
+    '(?<![\\w*])\\*([^*\\n]+?)\\*(?![\\w*])',
+    '(?<!\\w)_([^_\\n]+?)_(?!\\w)',
+    `(${URL_PATTERN.source})`,
+  ];
+  const names = [...mentionNames].filter(Boolean).sort((a, b) => b.length - a.length);
+  if (names.length) patterns.push(`@(${names.map(escapeRegExp).join('|')})(?![\\w])`);
+
+  const pattern = new RegExp(patterns.join('|'), 'g');
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) tokens.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    const [, code, bold, star, underscore, url, mention] = match;
+
+    if (code !== undefined) tokens.push({ type: 'code', value: code });
+    else if (bold !== undefined) tokens.push({ type: 'bold', children: parseInline(bold, names) });
+    else if (star !== undefined || underscore !== undefined) {
+      tokens.push({ type: 'italic', children: parseInline(star ?? underscore, names) });
+    } else if (url !== undefined) tokens.push({ type: 'link', value: url });
+    else if (mention !== undefined) tokens.push({ type: 'mention', value: mention });
+
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (lastIndex < text.length) tokens.push({ type: 'text', value: text.slice(lastIndex) });
+  return tokens;
+};
+
+export const extractUrls = (text = '') => [...new Set(text.match(URL_PATTERN) || [])];
+
+// The @query being typed at the caret, if any: { query, start }
+export const getMentionQuery = (text, caret) => {
+  const match = text.slice(0, caret).match(/(^|\s)@([^\s@]*)$/);
+  if (!match) return null;
+  return { query: match[2], start: caret - match[2].length - 1 };
+};
+
+const mentionedNames = (tokens) => tokens.flatMap((token) => {
+  if (token.type === 'mention') return [token.value];
+  return token.children ? mentionedNames(token.children) : [];
+});
+
+// People from `candidates` ({ uid, user }) mentioned by name in the text
+export const extractMentions = (text, candidates) => {
+  const names = new Set(parseBlocks(text).flatMap((block) => {
+    const lines = block.type === 'paragraph' ? block.lines : block.items || [];
+    return lines.flatMap((line) => mentionedNames(parseInline(line, candidates.map(({ user }) => user))));
+  }));
+  const seen = new Set();
+  return candidates.filter(({ uid, user }) => {
+    if (!names.has(user) || seen.has(uid)) return false;
+    seen.add(uid);
+    return true;
+  });
+};
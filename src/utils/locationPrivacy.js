@@ -0,0 +1,66 @@
+// src/utils/locationPrivacy.js
+
+const METERS_PER_DEGREE = 111320;
+
+// How precisely a pin shows where its owner is. Applied to coordinates before
+// they are sent anywhere, so the exact position never leaves the browser.
+export const PRECISION_OPTIONS = [
+  { value: 'neighborhood', label: 'Neighborhood (~1 km grid)', meters: 1000 },
+  { value: 'random', label: 'Random spot within 500 m', meters: 500 },
+  { value: 'city', label: 'City only (~10 km)', meters: 10000 },
+  { value: 'exact', label: 'Exact location', meters: 0 },
+];
+
+export const DEFAULT_PRECISION = 'neighborhood';
+
+export const VISIBILITY_OPTIONS = [
+  { value: 'public', label: 'Everyone' },
+  { value: 'members', label: 'Signed-in members' },
+  { value: 'hidden', label: 'Only me' },
+];
+
+const round = (value) => Number(value.toFixed(6));
+
+// Degrees of longitude spanning `meters` at this latitude
+const lngDegrees = (meters, lat) => meters / (METERS_PER_DEGREE * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+
+// Centre of the grid cell of `meters` containing the point
+const snapToGrid = ({ lat, lng }, meters) => {
+  const latSize = meters / METERS_PER_DEGREE;
+  const snappedLat = (Math.floor(lat / latSize) + 0.5) * latSize;
+  const lngSize = lngDegrees(meters, snappedLat);
+  return { lat: round(snappedLat), lng: round((Math.floor(lng / lngSize) + 0.5) * lngSize) };
+};
+
+// A uniformly random point within `meters` of the original
+const randomize = ({ lat, lng }, meters) => {
+  const distance = meters * Math.sqrt(Math.random());
+  const angle = Math.random() * 2 * Math.PI;
+  return {
+    lat: round(lat + (distance * Math.cos(angle)) / METERS_PER_DEGREE),
+    lng: round(lng + lngDegrees(distance * Math.sin(angle), lat)),
+  };
+};
+
+export const obscureLocation = (location, precision = DEFAULT_PRECISION) => {
+  const option = PRECISION_OPTIONS.find((item) => item.value === precision);
+  if (!option) throw new Error(`Unknown location precision "${precision}"`);
+
+  switch (option.value) {
+    case 'random':
+      return randomize(location, option.meters);
+    case 'exact':
+      return { lat: location.lat, lng: location.lng };
+    default:
+      return snapToGrid(location, option.meters);
+  }
+};
+
+// Whether the current viewer may see a pin. The server applies the same rule;
+// this keeps pins out of view if an older server still returns them.
+export const canSeePin = (pin, uid) => {
+  if (pin.uid && pin.uid === uid) return true;
+  if (pin.visibility === 'hidden') return false;
+  if (pin.visibility === 'members') return Boolean(uid);
+  return true;
+};
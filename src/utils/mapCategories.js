@@ -0,0 +1,38 @@
+// src/utils/mapCategories.js
+import { darken, lighten } from '@mui/material/styles';
+
+// Pin categories, matching the marker icon colors
+const CATEGORY_COLORS = {
+  environment: '#2196F3',
+  education: '#FF9800',
+  social: '#F44336',
+  health: '#9C27B0',
+  default: '#4CAF50'
+};
+
+export const CATEGORY_LABELS = {
+  environment: 'Environment',
+  education: 'Education',
+  social: 'Social',
+  health: 'Health',
+  default: 'General'
+};
+
+export const categoryOf = (pin) => (CATEGORY_COLORS[pin.category] ? pin.category : 'default');
+export const getCategoryColor = (category) => CATEGORY_COLORS[category] || CATEGORY_COLORS.default;
+
+// Heatmap colors: the usual blue-to-red scale across all pins, or shades of a
+// category's own color. Built once so map layers can compare them by identity.
+const HEAT_GRADIENTS = {
+  all: { 0.4: 'blue', 0.6: 'cyan', 0.7: 'lime', 0.8: 'yellow', 1.0: 'red' },
+  ...Object.fromEntries(Object.entries(CATEGORY_COLORS).map(([category, color]) => [
+    category,
+    { 0.3: lighten(color, 0.6), 0.7: color, 1.0: darken(color, 0.4) },
+  ])),
+};
+
+export const heatGradient = (category = 'all') => HEAT_GRADIENTS[category] || HEAT_GRADIENTS.all;
+
+// Heat intensity of a pin: every pin counts the same across all categories,
+// and with a category picked only its pins count
+export const heatWeight = (pin, category = 'all') => Number(category === 'all' || categoryOf(pin) === category);
@@ -0,0 +1,107 @@
+// src/utils/mapTiles.js
+import { fetchMapData } from './api';
+
+// Pins are requested per slippy-map tile, a couple of zoom levels coarser than
+// the view so a screen needs only a handful of requests. Past MAX_TILE_ZOOM
+// the server returns every pin in the tile, so deeper zooms reuse those tiles.
+const TILE_ZOOM_OFFSET = 2;
+const MAX_TILE_ZOOM = 14;
+const MAX_CACHED_TILES = 256;
+// Other members add, move and delete pins, so tiles older than this are
+// fetched again (their cached pins are still shown meanwhile)
+const TILE_MAX_AGE_MS = 2 * 60 * 1000;
+const MAX_LATITUDE = 85.0511;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export const tileZoomFor = (zoom) => clamp(Math.floor(zoom) - TILE_ZOOM_OFFSET, 0, MAX_TILE_ZOOM);
+
+const tileX = (lng, z) => clamp(Math.floor(((lng + 180) / 360) * 2 ** z), 0, 2 ** z - 1);
+
+const tileY = (lat, z) => {
+  const rad = (clamp(lat, -MAX_LATITUDE, MAX_LATITUDE) * Math.PI) / 180;
+  const y = ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** z;
+  return clamp(Math.floor(y), 0, 2 ** z - 1);
+};
+
+const tileLng = (x, z) => (x / 2 ** z) * 360 - 180;
+
+const tileLat = (y, z) => {
+  const n = Math.PI - (2 * Math.PI * y) / 2 ** z;
+  return (180 / Math.PI) * Math.atan(Math.sinh(n));
+};
+
+const tileKey = (z, x, y) => `${z}/${x}/${y}`;
+
+// Keys of the tiles at zoom `z` covering { south, west, north, east }
+export const tilesInBounds = ({ south, west, north, east }, z) => {
+  const keys = [];
+  const [minX, maxX] = [tileX(Math.max(west, -180), z), tileX(Math.min(east, 180), z)];
+  const [minY, maxY] = [tileY(north, z), tileY(south, z)];
+  for (let x = minX; x <= maxX; x += 1) {
+    for (let y = minY; y <= maxY; y += 1) keys.push(tileKey(z, x, y));
+  }
+  return keys;
+};
+
+// Tile key -> { pins, fetchedAt }. A Map keeps insertion order, so
+// re-inserting on use makes the first entry the least recently used one.
+const cache = new Map();
+const pending = new Map();
+
+const remember = (key, tile) => {
+  cache.delete(key);
+  cache.set(key, tile);
+  if (cache.size > MAX_CACHED_TILES) cache.delete(cache.keys().next().value);
+};
+
+const isFresh = (tile) => Date.now() - tile.fetchedAt < TILE_MAX_AGE_MS;
+
+export const loadTile = (key) => {
+  const tile = cache.get(key);
+  if (tile && isFresh(tile)) {
+    remember(key, tile);
+    return Promise.resolve(tile.pins);
+  }
+  if (pending.has(key)) return pending.get(key);
+
+  const [z, x, y] = key.split('/').map(Number);
+  const bbox = [tileLng(x, z), tileLat(y + 1, z), tileLng(x + 1, z), tileLat(y, z)].join(',');
+  const request = fetchMapData({ bbox, zoom: z })
+    .then((pins) => {
+      remember(key, { pins, fetchedAt: Date.now() });
+      return pins;
+    })
+    .finally(() => pending.delete(key));
+  pending.set(key, request);
+  return request;
+};
+
+// Cached pins for these tiles, stale or not; a pin on a tile edge is only
+// listed once
+export const cachedPins = (keys) => {
+  const pins = new Map();
+  keys.forEach((key) => {
+    (cache.get(key)?.pins || []).forEach((pin) => pins.set(pin._id, pin));
+  });
+  return [...pins.values()];
+};
+
+// Add a new or changed pin to every cached tile it falls in, so it shows up
+// without refetching
+export const cachePin = (pin) => {
+  cache.forEach((tile, key) => {
+    const z = Number(key.split('/')[0]);
+    if (key === tileKey(z, tileX(pin.location.lng, z), tileY(pin.location.lat, z))) {
+      cache.set(key, { ...tile, pins: [...tile.pins, pin] });
+    }
+  });
+};
+
+export const uncachePin = (pinId) => {
+  cache.forEach((tile, key) => {
+    if (tile.pins.some((pin) => pin._id === pinId)) {
+      cache.set(key, { ...tile, pins: tile.pins.filter((pin) => pin._id !== pinId) });
+    }
+  });
+};
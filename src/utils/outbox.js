@@ -0,0 +1,78 @@
+// src/utils/outbox.js
+// Persistent queue of chat messages that have not reached the server yet.
+// Entries look like { clientId, uid, payload, status, attempts, createdAt };
+// the store is shared by everyone using the browser, so `uid` says whose
+// message it is.
+
+const DB_NAME = 'social75';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+
+// Used when IndexedDB is unavailable (e.g. some private browsing modes)
+const memoryStore = new Map();
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not supported'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'clientId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      console.warn('Outbox falling back to memory:', error);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, run, fallback) => {
+  const db = await openDb();
+  if (!db) return fallback();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = run(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+export const putOutboxEntry = (entry) => withStore(
+  'readwrite',
+  (store) => store.put(entry),
+  () => memoryStore.set(entry.clientId, entry)
+);
+
+export const deleteOutboxEntry = (clientId) => withStore(
+  'readwrite',
+  (store) => store.delete(clientId),
+  () => memoryStore.delete(clientId)
+);
+
+export const getOutboxEntry = (clientId) => withStore(
+  'readonly',
+  (store) => store.get(clientId),
+  () => memoryStore.get(clientId)
+);
+
+export const getOutboxEntries = () => withStore(
+  'readonly',
+  (store) => store.getAll(),
+  () => [...memoryStore.values()]
+);
+
+// Drop everything a user still has queued, e.g. when they sign out
+export const clearOutboxEntries = async (uid) => {
+  const entries = await getOutboxEntries();
+  await Promise.all(entries
+    .filter((entry) => entry.uid === uid)
+    .map((entry) => deleteOutboxEntry(entry.clientId)));
+};
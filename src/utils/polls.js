@@ -0,0 +1,82 @@
+// src/utils/polls.js
+import { createClientId } from './chat';
+
+export const MIN_POLL_OPTIONS = 2;
+export const MAX_POLL_OPTIONS = 10;
+
+// A poll travels on its message as `msg.poll`:
+//   { question, multiple, anonymous, closesAt, closed, options }
+// Named polls list who picked each option:
+//   options: [{ id, text, voters: [{ uid, user }] }]
+// Anonymous polls only carry counts, so nobody's choice can be traced back to
+// them. The viewer's own picks come as `myVotes` on the copy the server sends
+// them, and `voterCount` is the number of people who voted:
+//   options: [{ id, text, count }], voterCount, myVotes: [optionId]
+export const createPoll = ({ question, options, multiple = false, anonymous = false, closesAt = null }) => {
+  const texts = options.map((text) => text.trim()).filter(Boolean);
+  if (!question.trim()) throw new Error('A poll needs a question');
+  if (texts.length < MIN_POLL_OPTIONS) throw new Error(`A poll needs at least ${MIN_POLL_OPTIONS} options`);
+  if (texts.length > MAX_POLL_OPTIONS) throw new Error(`A poll can have at most ${MAX_POLL_OPTIONS} options`);
+
+  return {
+    question: question.trim(),
+    multiple,
+    anonymous,
+    closesAt,
+    closed: false,
+    options: texts.map((text) => ({
+      id: createClientId(),
+      text,
+      ...(anonymous ? { count: 0 } : { voters: [] }),
+    })),
+    ...(anonymous && { voterCount: 0 }),
+  };
+};
+
+export const isPollClosed = (poll) => Boolean(
+  poll.closed || (poll.closesAt && new Date(poll.closesAt) <= new Date())
+);
+
+export const countOptionVotes = (option) => (option.voters ? option.voters.length : option.count || 0);
+
+export const getVotedOptionIds = (poll, uid) => (poll.anonymous
+  ? poll.myVotes || []
+  : poll.options
+    .filter((option) => option.voters.some((voter) => voter.uid === uid))
+    .map((option) => option.id));
+
+// Number of people who voted (a person may pick several options)
+export const countVoters = (poll) => (poll.anonymous
+  ? poll.voterCount ?? poll.options.reduce((sum, option) => sum + countOptionVotes(option), 0)
+  : new Set(poll.options.flatMap((option) => option.voters.map((voter) => voter.uid))).size);
+
+// Replace a member's votes with `optionIds`, as the server does
+export const applyVote = (poll, optionIds, voter) => {
+  if (poll.anonymous) {
+    const previous = poll.myVotes || [];
+    const change = (id) => Number(optionIds.includes(id)) - Number(previous.includes(id));
+    return {
+      ...poll,
+      myVotes: optionIds,
+      voterCount: countVoters(poll) + Number(optionIds.length > 0) - Number(previous.length > 0),
+      options: poll.options.map((option) => ({ ...option, count: countOptionVotes(option) + change(option.id) })),
+    };
+  }
+
+  return {
+    ...poll,
+    options: poll.options.map((option) => {
+      const others = option.voters.filter((v) => v.uid !== voter.uid);
+      if (!optionIds.includes(option.id)) return { ...option, voters: others };
+      return { ...option, voters: [...others, voter] };
+    }),
+  };
+};
+
+// Room-wide broadcasts of an anonymous poll carry no one's picks, so an update
+// without `myVotes` keeps the ones we already have
+export const mergePoll = (current, update) => (
+  update.anonymous && !update.myVotes && current?.myVotes
+    ? { ...update, myVotes: current.myVotes }
+    : update
+);
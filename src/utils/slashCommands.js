@@ -0,0 +1,123 @@
+// src/utils/slashCommands.js
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from '../firebase';
+import { extractMentions } from './formatting';
+import { createPoll } from './polls';
+
+// Registry of chat composer commands. Other modules add their own with
+// registerSlashCommand, e.g. the map registers /map.
+//
+// A command is { name, description, usage, moderatorOnly, run(args, context) }.
+// `run` may be async; throwing shows the error to the user. The context comes
+// from the chat and provides:
+//   roomId, room, user, isModerator, messages, mentionCandidates,
+//   post(text, options) send a message to the room (options as for a poll)
+//   notify(text)        show a note only the current user sees
+//   pin(message)        pin a message (moderators)
+//   mute(member, mins)  mute a member (moderators)
+const registry = new Map();
+
+export const registerSlashCommand = (command) => {
+  registry.set(command.name, command);
+  return () => {
+    if (registry.get(command.name) === command) registry.delete(command.name);
+  };
+};
+
+export const getSlashCommands = ({ isModerator = false } = {}) => [...registry.values()]
+  .filter((command) => isModerator || !command.moderatorOnly)
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+// `/name args` -> { name, args }, or null when the text isn't a registered
+// command, so messages like "/shrug" are posted as they are
+export const parseSlashCommand = (text) => {
+  const match = text.trim().match(/^\/([a-z][\w-]*)(?:\s+([\s\S]*))?$/i);
+  const name = match?.[1].toLowerCase();
+  if (!registry.has(name)) return null;
+  return { name, args: (match[2] || '').trim() };
+};
+
+export const runSlashCommand = async ({ name, args }, context) => {
+  const command = registry.get(name);
+  if (!command) throw new Error(`Unknown command /${name}`);
+  if (command.moderatorOnly && !context.isModerator) {
+    throw new Error(`/${name} is only available to moderators`);
+  }
+  return command.run(args, context);
+};
+
+// The first member @mentioned in the arguments
+const mentionedMember = (args, context) => {
+  const [member] = extractMentions(args, context.mentionCandidates);
+  if (!member) throw new Error('Mention a member, e.g. @Alex');
+  return member;
+};
+
+registerSlashCommand({
+  name: 'event',
+  description: 'Announce an event',
+  usage: '/event Title | date and time | place',
+  run: (args, { post }) => {
+    const [title, when, where] = args.split('|').map((part) => part.trim());
+    if (!title) throw new Error('Usage: /event Title | date and time | place');
+    post([
+      `📅 **${title}**`,
+      when && `- When: ${when}`,
+      where && `- Where: ${where}`,
+    ].filter(Boolean).join('\n'));
+  },
+});
+
+registerSlashCommand({
+  name: 'poll',
+  description: 'Start a single-choice poll',
+  usage: '/poll Question | option | option',
+  run: (args, { post }) => {
+    const [question, ...options] = args.split('|').map((part) => part.trim());
+    const poll = createPoll({ question, options });
+    post(poll.question, { poll });
+  },
+});
+
+registerSlashCommand({
+  name: 'pin',
+  description: 'Pin the latest message, or the latest one containing some text',
+  usage: '/pin [text]',
+  moderatorOnly: true,
+  run: async (args, { messages, pin, notify }) => {
+    const search = args.toLowerCase();
+    const target = [...messages].reverse().find((msg) => (
+      msg._id && !msg.deleted && !msg.ephemeral && (!search || msg.text?.toLowerCase().includes(search))
+    ));
+    if (!target) throw new Error(search ? `No message containing "${args}"` : 'There is nothing to pin yet');
+    await pin(target);
+    notify(`Pinned ${target.user}'s message`);
+  },
+});
+
+registerSlashCommand({
+  name: 'mute',
+  description: 'Mute a member in this room',
+  usage: '/mute @member [minutes]',
+  moderatorOnly: true,
+  run: async (args, context) => {
+    const member = mentionedMember(args, context);
+    const minutes = Number(args.match(/(\d+)\s*$/)?.[1]) || 60;
+    await context.mute(member, minutes);
+    context.notify(`Muted ${member.user} for ${minutes} minutes`);
+  },
+});
+
+registerSlashCommand({
+  name: 'points',
+  description: 'Show your points, or another member\'s',
+  usage: '/points [@member]',
+  run: async (args, context) => {
+    const member = args ? mentionedMember(args, context) : context.user;
+    const snapshot = await getDoc(doc(db, 'users', member.uid));
+    const points = snapshot.data()?.points || 0;
+    context.notify(member.uid === context.user.uid
+      ? `You have ${points} points`
+      : `${member.user} has ${points} points`);
+  },
+});
@@ -0,0 +1,165 @@
+// src/utils/transcript.js
+import { fetchMessages, fetchThreadReplies } from './api';
+import { countOptionVotes } from './polls';
+
+const PAGE_SIZE = 100;
+
+export const TRANSCRIPT_FORMATS = [
+  { value: 'markdown', label: 'Markdown', extension: 'md', type: 'text/markdown' },
+  { value: 'json', label: 'JSON', extension: 'json', type: 'application/json' },
+  { value: 'csv', label: 'CSV', extension: 'csv', type: 'text/csv' },
+];
+
+// When a message was sent, or null if it has no usable date. Messages carry it
+// as `timestamp`; `createdAt` is kept as a fallback for older records.
+const sentAt = (msg) => {
+  const value = msg.timestamp || msg.createdAt;
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Only what a record of the conversation needs, in a stable shape
+const toEntry = (msg) => ({
+  id: msg._id,
+  parentId: msg.parentId || null,
+  author: msg.user,
+  uid: msg.uid,
+  createdAt: sentAt(msg)?.toISOString() || null,
+  text: msg.text || '',
+  attachments: (msg.attachments || []).map(({ name, url, kind }) => ({ name, url, kind })),
+  ...(msg.poll && {
+    poll: {
+      question: msg.poll.question,
+      options: msg.poll.options.map((option) => ({ text: option.text, votes: countOptionVotes(option) })),
+    },
+  }),
+});
+
+// Undated messages can't be placed in a range, so only full exports keep them
+const isInRange = (msg, from, to) => {
+  if (!from && !to) return true;
+  const time = sentAt(msg);
+  return Boolean(time) && (!from || time >= from) && (!to || time <= to);
+};
+
+// Loads a room's history (optionally only between the `from` and `to` dates),
+// oldest first, with thread replies nested under their parent. Deleted and
+// hidden messages are left out. `onProgress(count)` reports messages loaded.
+export const loadTranscript = async ({ room, from = null, to = null, onProgress }) => {
+  let history = [];
+  let before;
+
+  // Page backwards until the start of the room or of the range
+  for (;;) {
+    const page = await fetchMessages(room.id, { before, limit: PAGE_SIZE });
+    history = [...page.filter((msg) => !msg.parentId), ...history];
+    onProgress?.(history.length);
+
+    // A short page doesn't mean the start was reached, only an empty one does
+    const oldest = page[0];
+    if (!oldest) break;
+    if (from && sentAt(oldest) && sentAt(oldest) < from) break;
+    before = oldest._id;
+  }
+
+  const visible = (msg) => !msg.deleted && !msg.hidden;
+  const messages = [];
+  for (const msg of history.filter((item) => visible(item) && isInRange(item, from, to))) {
+    const replies = msg.replyCount ? await fetchThreadReplies(msg._id) : [];
+    messages.push({ ...toEntry(msg), replies: replies.filter(visible).map(toEntry) });
+  }
+
+  return {
+    room: { id: room.id, name: room.name },
+    from: from && from.toISOString(),
+    to: to && to.toISOString(),
+    exportedAt: new Date().toISOString(),
+    messages,
+  };
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+// Header, text, poll and attachments as separate blocks, so the header never
+// runs into the message in rendered Markdown
+const markdownEntry = (entry) => {
+  const blocks = [
+    [`**${entry.author}** · ${formatDate(entry.createdAt)}`],
+    entry.poll
+      ? [`Poll: ${entry.poll.question}`, ...entry.poll.options.map((option) => `- ${option.text} (${option.votes})`)]
+      : entry.text.split('\n'),
+    entry.attachments.map((file) => `- [${file.name}](${file.url})`),
+  ].filter((block) => block.some(Boolean));
+  return blocks.flatMap((block, index) => (index ? ['', ...block] : block));
+};
+
+// Every line of a reply is quoted, so multi-line replies stay in the thread
+const quote = (line) => (line ? `> ${line}` : '>');
+
+export const toMarkdown = (transcript) => {
+  const range = transcript.from || transcript.to
+    ? ` · ${formatDate(transcript.from) || 'start'} to ${formatDate(transcript.to) || 'now'}`
+    : '';
+  const lines = [
+    `# ${transcript.room.name} transcript`,
+    '',
+    `Exported ${formatDate(transcript.exportedAt)}${range}`,
+  ];
+
+  transcript.messages.forEach((entry) => {
+    lines.push('', ...markdownEntry(entry));
+    entry.replies.forEach((reply, index) => {
+      lines.push(index ? '>' : '', ...markdownEntry(reply).map(quote));
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+export const toJson = (transcript) => JSON.stringify(transcript, null, 2);
+
+// Quote every cell, and stop spreadsheets from running text as a formula
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+// Polls list their results under the question
+const plainText = (entry) => (entry.poll
+  ? [entry.text, ...entry.poll.options.map((option) => `${option.text}: ${option.votes}`)].join('\n')
+  : entry.text);
+
+export const toCsv = (transcript) => {
+  const header = ['id', 'parent_id', 'created_at', 'author', 'text', 'attachments'];
+  const rows = transcript.messages
+    .flatMap((entry) => [entry, ...entry.replies])
+    .map((entry) => [
+      entry.id,
+      entry.parentId,
+      entry.createdAt,
+      entry.author,
+      plainText(entry),
+      entry.attachments.map((file) => file.url).join(' '),
+    ]);
+
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n');
+};
+
+const FORMATTERS = { markdown: toMarkdown, json: toJson, csv: toCsv };
+
+// Save the transcript through the browser's download prompt
+export const downloadTranscript = (transcript, format) => {
+  const { extension, type } = TRANSCRIPT_FORMATS.find((option) => option.value === format);
+  const blob = new Blob([FORMATTERS[format](transcript)], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const slug = transcript.room.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chat';
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${slug}-transcript-${transcript.exportedAt.slice(0, 10)}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,22 @@
+// src/utils/wordFilter.js
+import { escapeRegExp } from './formatting';
+
+// Always filtered; rooms can add their own words and deployments can extend
+// the list with a comma-separated VITE_BLOCKED_WORDS
+const DEFAULT_BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'asshole', 'bastard', 'cunt', 'dick'];
+
+const envWords = (import.meta.env.VITE_BLOCKED_WORDS || '')
+  .split(',')
+  .map((word) => word.trim())
+  .filter(Boolean);
+
+export const getBlockedWords = (roomWords = []) => [
+  ...new Set([...DEFAULT_BLOCKED_WORDS, ...envWords, ...roomWords].map((word) => word.toLowerCase())),
+];
+
+// Masks blocked words (whole words, case-insensitive), keeping the first letter
+export const filterText = (text, words) => {
+  if (!words.length) return text;
+  const pattern = new RegExp(`\\b(${words.map(escapeRegExp).join('|')})\\b`, 'gi');
+  return text.replace(pattern, (match) => match[0] + '*'.repeat(match.length - 1));
+};